@@ -40,6 +40,7 @@ Condotti.add('condotti.algorithm', function (C) {
      */
     Sorting.prototype.topology = function (id, next) {
         var trace = {},
+            stack = [],
             unique = {},
             result = [],
             self = this;
@@ -50,6 +51,7 @@ Condotti.add('condotti.algorithm', function (C) {
          */
         (function (current) {
             var dependencies = null,
+                cycle = null,
                 index = 0,
                 length = 0;
         
@@ -62,12 +64,16 @@ Condotti.add('condotti.algorithm', function (C) {
             }
         
             if (current in trace) {
-                self.logger_.debug('Circular dependency on node ' + current + 
+                cycle = stack.slice(stack.lastIndexOf(current));
+                cycle.push(current);
+                self.logger_.debug('Circular dependency ' + 
+                                   cycle.join(' -> ') + 
                                    ' has been detected.');
-                throw new C.errors.CircularDependencyError(id, current);
+                throw new C.errors.CircularDependencyError(id, current, cycle);
             }
         
             trace[current] = true;
+            stack.push(current);
             
             dependencies = next(current);
             length = dependencies.length;
@@ -88,6 +94,7 @@ Condotti.add('condotti.algorithm', function (C) {
             self.logger_.debug('Node ' + current + 
                                ' has been successfully calculated.');
             delete trace[current];
+            stack.pop();
         
             result.push(current);
             unique[current] = true;
@@ -104,6 +111,72 @@ Condotti.add('condotti.algorithm', function (C) {
         return result;
     };
     
+    /**
+     * The implementation of the layered topology sorting, which groups the
+     * nodes reachable from the specified ones into layers, so that the nodes
+     * in the same layer do not depend on each other, and only depend on the
+     * nodes in the previous layers. The first layer contains the nodes that
+     * depend on nothing, and each of the other nodes is placed in the layer
+     * right after the deepest one among its dependencies. Normally it is used
+     * to find out the modules that can be processed concurrently.
+     *
+     * @method layers
+     * @param {Array} ids the ids of the starting nodes
+     * @param {Function} next the function used to get the nodes which current 
+     *                        node points to in the DAG
+     * @return {Array} the layers, each of which is the list of the node ids
+     */
+    Sorting.prototype.layers = function (ids, next) {
+        var depths = {},
+            trace = {},
+            stack = [],
+            result = [],
+            self = this;
+        
+        ids.forEach(function depth (current) {
+            var dependencies = null,
+                cycle = null,
+                value = 0;
+            
+            if (current in depths) {
+                return depths[current];
+            }
+            
+            if (current in trace) {
+                cycle = stack.slice(stack.lastIndexOf(current));
+                cycle.push(current);
+                self.logger_.debug('Circular dependency ' + 
+                                   cycle.join(' -> ') + 
+                                   ' has been detected.');
+                throw new C.errors.CircularDependencyError(stack[0], current,
+                                                           cycle);
+            }
+            
+            trace[current] = true;
+            stack.push(current);
+            
+            dependencies = next(current) || [];
+            dependencies.forEach(function (dependency) {
+                value = Math.max(value, depth(dependency) + 1);
+            });
+            
+            delete trace[current];
+            stack.pop();
+            
+            depths[current] = value;
+            result[value] = result[value] || [];
+            result[value].push(current);
+            self.logger_.debug('Node ' + current + ' is placed in layer ' +
+                               value);
+            
+            return value;
+        });
+        
+        // the layers are always continuous since each node is placed right
+        // after the deepest layer of its dependencies
+        return result;
+    };
+    
     C.namespace('algorithm').sorting = new Sorting();
     
     
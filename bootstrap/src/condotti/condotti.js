@@ -29,12 +29,20 @@ function Condotti (config) {
     C.config_ = config || {};
     
     /**
-     * The loaded modules
+     * The loaded modules. It is the global registry Condotti.loaded_ by
+     * default, or a child registry falling back to the global one if the
+     * "registry" field of the config is 'private', in which case the modules
+     * added while this instance is loading are only visible to this instance,
+     * so that the instances in the same process can hold different
+     * implementations of the same module, for example:
+     *
+     * { "registry": "private", "loader": { "baseUrl": "tenants/acme" } }
      *
      * @property loaded_
      * @type Object
      */
-    C.loaded_ = Condotti.loaded_;
+    C.loaded_ = ('private' === C.config_.registry) ?
+                Object.create(Condotti.loaded_) : Condotti.loaded_;
     
     /**
      * The calcualted module dependencies
@@ -45,7 +53,17 @@ function Condotti (config) {
     C.dependencies_ = {};
     
     /**
-     * The attached modules
+     * The versions of the modules selected for this instance, keyed by the
+     * module names
+     *
+     * @property selected_
+     * @type Object
+     */
+    C.selected_ = {};
+    
+    /**
+     * The attached modules, which maps the module names to the attached
+     * module entries
      *
      * @property attached_
      * @type Object
@@ -53,7 +71,26 @@ function Condotti (config) {
     C.attached_ = {};
     
     /**
-     * The module loader instance
+     * The modules being attached asynchronously, which maps the module names
+     * to the callbacks waiting for them
+     *
+     * @property attaching_
+     * @type Object
+     */
+    C.attaching_ = {};
+    
+    /**
+     * The teardown functions returned by the attached modules, keyed by the
+     * module names
+     *
+     * @property teardowns_
+     * @type Object
+     */
+    C.teardowns_ = {};
+    
+    /**
+     * The module loader instance, which is created from the "loader" field of
+     * the config, see `C.loaders.create` for details
      *
      * @property loader_
      * @type Loader
@@ -72,7 +109,7 @@ function Condotti (config) {
     C.attach_(Condotti['CORE-MODULES']);
     
     C.logger_ = C.logging.getObjectLogger(C);
-    C.loader_ = new C.loaders.Loader(C.config_.loader);
+    C.loader_ = C.loaders.create(C.config_.loader);
 }
 
 /********************************************************************
@@ -82,7 +119,16 @@ function Condotti (config) {
  ********************************************************************/
 
 /**
- * Loaded module colletion inside the Condotti global
+ * Loaded module colletion inside the Condotti global. Modules are grouped by
+ * their names, and each group maps the version strings to the module entries,
+ * so that several versions of the same module can be loaded side by side:
+ *
+ * {
+ *     "condotti.async": {
+ *         "0.2.1": { name: ..., fn: ..., version: "0.2.1", meta: ... },
+ *         "0.3.0": { name: ..., fn: ..., version: "0.3.0", meta: ... }
+ *     }
+ * }
  *
  * @property loaded_
  * @type Object
@@ -91,36 +137,93 @@ function Condotti (config) {
 Condotti.loaded_ = {};
 
 /**
- * Add a module with the Condotti global.
+ * The registry the modules are added into by Condotti.add, which is set to
+ * the child registry of the instance loading the modules, see
+ * `Condotti.prototype.register_` for details. The global registry
+ * Condotti.loaded_ is used when it is null.
+ *
+ * @property registry_
+ * @type Object
+ * @static
+ */
+Condotti.registry_ = null;
+
+/**
+ * The modules added without names, which are waiting for the names assigned by
+ * the loader executing their files, in the form of
+ * [{ fn: function (C) {...}, version: '0.0.1', meta: {...} }, ...]
+ *
+ * @property anonymous_
+ * @type Array
+ * @static
+ */
+Condotti.anonymous_ = [];
+
+/**
+ * The live Condotti instances to be notified when something changes globally,
+ * for example, a module has been reloaded. Only the instances whose loaders
+ * watch the module files are registered here by their loaders, so that the
+ * other instances can be garbage collected without being destroyed.
+ *
+ * @property instances_
+ * @type Array
+ * @static
+ */
+Condotti.instances_ = [];
+
+/**
+ * Add a module with the Condotti global. The name can be omitted, such as
+ * Condotti.add(function (C) {...}, '0.0.1', {...}), in which case the module
+ * is kept pending until the loader executing the file assigns the name it
+ * resolved via Condotti.assign, so that the file can be moved without changing
+ * its source.
  *
  * @method add
  * @static
- * @param {String} name the module name
+ * @param {String} name the module name, which is optional
  * @param {Function} fn entry point into the module which is used to bind module
- *                      to the Condotti instance
- * @param {String} version the version string
+ *                      to the Condotti instance. A virtual module, which only
+ *                      groups the modules listed in the "requires" of its
+ *                      meta as a bundle, is added with null here
+ * @param {String} version the version string, such as '0.2.1'. '0.0.0' is
+ *                         assumed when it is omitted
  * @param {Object} meta the optional config data for this module
  * @return {Function} the Condotti global.
  */
 Condotti.add = function (name, fn, version, meta) {
+    var key = null,
+        loaded = Condotti.registry_ || Condotti.loaded_;
+    
+    if ('function' === typeof name) {
+        meta = version;
+        version = fn;
+        fn = name;
+        Condotti.parseVersion(version || '0.0.0');
+        Condotti.anonymous_.push({ fn: fn, version: version, meta: meta });
+        return Condotti;
+    }
+    
+    key = version || '0.0.0';
+    Condotti.parseVersion(key); // ensure the version is valid
     
-    if (name in Condotti.loaded_) {
+    if (loaded.hasOwnProperty(name) && loaded[name].hasOwnProperty(key)) {
         if (Condotti.DuplicatedModuleError) {
-            throw new Condotti.DuplicatedModuleError(name);
+            throw new Condotti.DuplicatedModuleError(loaded[name][key]);
         } else {
-            throw new Error('Duplication of the module ' + name + 
+            throw new Error('Duplication of the module ' + name + '@' + key +
                             ' has been detected.');
         }
     }
     
     meta = meta || {};
     
-    // TODO: 1. add multi version support
-    //       2. add JAVA-like package namespace support
-    //       3. generate module name when loading, instead of hard-coded in the
-    //          source, which is inconvenient if the source file has to be moved
-    //          to another directory
-    Condotti.loaded_[name] = {
+    // TODO: add JAVA-like package namespace support
+    if (!loaded.hasOwnProperty(name)) {
+        // the versions in the child registry fall back to the global ones
+        loaded[name] = (loaded !== Condotti.loaded_ && Condotti.loaded_[name]) ?
+                       Object.create(Condotti.loaded_[name]) : {};
+    }
+    loaded[name][key] = {
         name: name,
         fn: fn,
         version: version,
@@ -130,6 +233,348 @@ Condotti.add = function (name, fn, version, meta) {
     return Condotti;
 };
 
+/**
+ * Assign the name to the modules added without names since the last call,
+ * which is expected to be called by the loaders right after executing the file
+ * of the module with the specified name.
+ *
+ * @method assign
+ * @static
+ * @param {String} name the name to be assigned
+ * @return {Number} the number of the modules the name is assigned to
+ */
+Condotti.assign = function (name) {
+    var anonymous = Condotti.anonymous_;
+    
+    Condotti.anonymous_ = [];
+    anonymous.forEach(function (module) {
+        Condotti.add(name, module.fn, module.version, module.meta);
+    });
+    
+    return anonymous.length;
+};
+
+/**
+ * Parse a module requirement in the form of 'name@range', such as
+ * 'condotti.async@^0.2', into the module name and the version range. When the
+ * range part is omitted, '*' is used, which matches any version.
+ *
+ * @method parseRequirement
+ * @static
+ * @param {String} requirement the requirement to be parsed
+ * @return {Object} the parsed requirement in the form of
+ *                  { name: 'condotti.async', range: '^0.2' }
+ */
+Condotti.parseRequirement = function (requirement) {
+    var index = requirement.lastIndexOf('@');
+    
+    // the '@' leading the scope of the npm packages, such as 
+    // 'npm:@acme/widgets.grid', does not start the version range
+    if (index <= 0 || ':' === requirement.charAt(index - 1)) {
+        return { name: requirement, range: '*' };
+    }
+    
+    return {
+        name: requirement.substring(0, index),
+        range: requirement.substring(index + 1) || '*'
+    };
+};
+
+/**
+ * Parse a version string, which is expected to follow the semantic versioning,
+ * into its parts. Partial versions and wildcards, such as '1.2', '1.x' or '*',
+ * are also accepted, and the missing parts are set to null.
+ *
+ * @method parseVersion
+ * @static
+ * @param {String} version the version string to be parsed
+ * @return {Object} the parsed version in the form of
+ *                  { major: 1, minor: 2, patch: null, prerelease: [] }
+ */
+Condotti.parseVersion = function (version) {
+    var matches = null,
+        parts = [],
+        index = 0,
+        part = null;
+    
+    matches = /^\s*v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.\-]+))?(?:\+[0-9A-Za-z.\-]+)?\s*$/.exec(
+        String(version || '0.0.0')
+    );
+    
+    if (!matches) {
+        throw new TypeError('Version ' + version + ' is not a valid ' +
+                            'semantic version.');
+    }
+    
+    for (index = 1; index <= 3; index += 1) {
+        part = matches[index];
+        if (undefined === part || /^[xX*]$/.test(part) ||
+            (parts.length && null === parts[parts.length - 1])) {
+            parts.push(null);
+        } else {
+            parts.push(parseInt(part, 10));
+        }
+    }
+    
+    return {
+        major: parts[0],
+        minor: parts[1],
+        patch: parts[2],
+        prerelease: matches[4] ? matches[4].split('.') : []
+    };
+};
+
+/**
+ * Compare two versions following the precedence rules of the semantic
+ * versioning. Missing parts of partial versions are treated as 0.
+ *
+ * @method compareVersions
+ * @static
+ * @param {String} a the first version to be compared
+ * @param {String} b the second version to be compared
+ * @return {Number} negative if a < b, positive if a > b, otherwise 0
+ */
+Condotti.compareVersions = function (a, b) {
+    var left = Condotti.parseVersion(a),
+        right = Condotti.parseVersion(b),
+        keys = ['major', 'minor', 'patch'],
+        index = 0,
+        length = 0,
+        x = null,
+        y = null;
+    
+    for (index = 0; index < keys.length; index += 1) {
+        x = left[keys[index]] || 0;
+        y = right[keys[index]] || 0;
+        if (x !== y) {
+            return x - y;
+        }
+    }
+    
+    // a version without the prerelease part has higher precedence
+    if (!left.prerelease.length || !right.prerelease.length) {
+        return right.prerelease.length - left.prerelease.length;
+    }
+    
+    length = Math.min(left.prerelease.length, right.prerelease.length);
+    for (index = 0; index < length; index += 1) {
+        x = left.prerelease[index];
+        y = right.prerelease[index];
+        if (x === y) {
+            continue;
+        }
+        
+        if (/^\d+$/.test(x) && /^\d+$/.test(y)) {
+            return parseInt(x, 10) - parseInt(y, 10);
+        }
+        
+        return x < y ? -1 : 1;
+    }
+    
+    return left.prerelease.length - right.prerelease.length;
+};
+
+/**
+ * Return if the specified version satisfies the version range. The range
+ * syntax is a subset of the one used by npm: exact versions ('1.2.3'), partial
+ * and wildcard versions ('1.2', '1.x', '*'), caret ranges ('^0.2'), tilde
+ * ranges ('~1.2.3'), comparators ('>=1.0.0 <2'), and unions of them joined
+ * with '||'. As npm does, a prerelease version, such as '1.2.3-beta', only
+ * satisfies a range containing a prerelease of the same major, minor and
+ * patch, such as '^1.2.3-alpha', except that the wildcard range '*' matches
+ * the prerelease versions too, unlike npm, so that a module only available
+ * as a prerelease can still be required without a range.
+ *
+ * @method satisfies
+ * @static
+ * @param {String} version the version to be tested
+ * @param {String} range the version range
+ * @return {Boolean} true if the version is in the range, otherwise false
+ */
+Condotti.satisfies = function (version, range) {
+    var tested = Condotti.parseVersion(version),
+        fill = null,
+        next = null,
+        expand = null;
+    
+    fill = function (parsed) {
+        return [parsed.major || 0, parsed.minor || 0, parsed.patch || 0]
+               .join('.') +
+               (parsed.prerelease.length ?
+                '-' + parsed.prerelease.join('.') : '');
+    };
+    
+    // the lowest version above all the ones matching the partial version
+    next = function (parsed) {
+        if (null === parsed.minor) {
+            return (parsed.major + 1) + '.0.0';
+        }
+        return parsed.major + '.' + (parsed.minor + 1) + '.0';
+    };
+    
+    // expand a single comparator into the primitive ones
+    expand = function (comparator) {
+        var matches = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/.exec(comparator),
+            operator = matches[1] || '=',
+            parsed = Condotti.parseVersion(matches[2]),
+            partial = (null === parsed.patch);
+        
+        if (null === parsed.major) {
+            return []; // matches any version
+        }
+        
+        switch (operator) {
+        case '^':
+            if (parsed.major > 0 || null === parsed.minor) {
+                return [['>=', fill(parsed)],
+                        ['<', (parsed.major + 1) + '.0.0']];
+            }
+            if (parsed.minor > 0 || partial) {
+                return [['>=', fill(parsed)],
+                        ['<', '0.' + (parsed.minor + 1) + '.0']];
+            }
+            return [['>=', fill(parsed)],
+                    ['<', '0.0.' + (parsed.patch + 1)]];
+        case '~':
+            return [['>=', fill(parsed)],
+                    ['<', next(null === parsed.minor ?
+                               parsed :
+                               { major: parsed.major, minor: parsed.minor })]];
+        case '>':
+            return partial ? [['>=', next(parsed)]] : [['>', fill(parsed)]];
+        case '<=':
+            return partial ? [['<', next(parsed)]] : [['<=', fill(parsed)]];
+        case '=':
+            return partial ? [['>=', fill(parsed)], ['<', next(parsed)]] :
+                             [['=', fill(parsed)]];
+        default: // '>=' and '<'
+            return [[operator, fill(parsed)]];
+        }
+    };
+    
+    return String(range || '*').split('||').some(function (set) {
+        var comparators = [];
+        
+        set.replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).forEach(
+            function (comparator) {
+                if (comparator) {
+                    comparators = comparators.concat(expand(comparator));
+                }
+            }
+        );
+        
+        // the prerelease versions are opted in per major, minor and patch
+        if (tested.prerelease.length && comparators.length &&
+            !comparators.some(function (comparator) {
+                var bound = Condotti.parseVersion(comparator[1]);
+                
+                return bound.prerelease.length && 
+                       bound.major === tested.major &&
+                       bound.minor === tested.minor &&
+                       bound.patch === tested.patch;
+            })) {
+            return false;
+        }
+        
+        return comparators.every(function (comparator) {
+            var result = Condotti.compareVersions(version, comparator[1]);
+            
+            switch (comparator[0]) {
+            case '>=':
+                return result >= 0;
+            case '<=':
+                return result <= 0;
+            case '>':
+                return result > 0;
+            case '<':
+                return result < 0;
+            default:
+                return 0 === result;
+            }
+        });
+    });
+};
+
+/**
+ * Return the versions of the specified module that have been loaded and
+ * satisfy the version range, in descending order, which means the best match
+ * comes first.
+ *
+ * @method findVersions
+ * @static
+ * @param {String} name the name of the module
+ * @param {String} range the version range, '*' by default
+ * @param {Object} loaded the loaded module collection to search in, which is
+ *                        Condotti.loaded_ by default
+ * @return {Array} the matching module entries, or an empty array if the
+ *                 module has not been loaded at all
+ */
+Condotti.findVersions = function (name, range, loaded) {
+    var versions = (loaded || Condotti.loaded_)[name],
+        keys = [],
+        version = null;
+    
+    if (!versions) {
+        return [];
+    }
+    
+    // the versions inherited from the global registry are included
+    for (version in versions) {
+        keys.push(version);
+    }
+    
+    return keys.filter(function (version) {
+        return Condotti.satisfies(version, range);
+    }).sort(function (a, b) {
+        return Condotti.compareVersions(b, a);
+    }).map(function (version) {
+        return versions[version];
+    });
+};
+
+/**
+ * Resolve the aliases in the requirement, where the aliases map the alias
+ * names to the requirements on the real modules, such as
+ * { "db": "acme.storage.postgres@^2" }. An alias can point to another one.
+ * The version range of the requirement, if specified, overrides the one of
+ * the alias.
+ *
+ * @method resolveAlias
+ * @static
+ * @param {String} requirement the requirement to be resolved, such as 'db'
+ * @param {Object} aliases the aliases, optional
+ * @return {String} the resolved requirement, such as 
+ *                  'acme.storage.postgres@^2', or the original one if it is
+ *                  not an alias
+ */
+Condotti.resolveAlias = function (requirement, aliases) {
+    var parsed = Condotti.parseRequirement(requirement),
+        target = null,
+        trace = [];
+    
+    aliases = aliases || {};
+    while (aliases.hasOwnProperty(parsed.name)) {
+        if (trace.indexOf(parsed.name) >= 0) {
+            throw new Error('Circular aliases ' + 
+                            trace.concat(parsed.name).join(' -> ') +
+                            ' have been detected.');
+        }
+        trace.push(parsed.name);
+        
+        target = Condotti.parseRequirement(aliases[parsed.name]);
+        parsed = {
+            name: target.name,
+            range: ('*' === parsed.range) ? target.range : parsed.range
+        };
+    }
+    
+    if (!trace.length) {
+        return requirement;
+    }
+    
+    return parsed.name + ('*' === parsed.range ? '' : '@' + parsed.range);
+};
+
 /********************************************************************
  *                                                                  *
  *                      INSTANCE MEMBERS                            *
@@ -210,12 +655,26 @@ Condotti.prototype.configure = function (config) {
  *   * Modules are missing, the Loader is not available --
  *   * Modules are missing, the Loader is available --
  * 
+ * The missing modules are loaded round by round, each round for the
+ * dependencies found in the previous one. The modules of a round are loaded
+ * concurrently, and the number of the ones being loaded at the same time can
+ * be limited by the "concurrency" field of the loader config.
+ * 
  * @method use
  * @param {String|Array} modules* 1-n module names to be attached to the
- *                                Condotti instance
+ *                                Condotti instance. A version range can be
+ *                                appended to the name, such as
+ *                                'condotti.async@^0.2'
  * @param {Function} callback callback function to be executed when the instance
- *                            has the required functionality. 
- * @return {Condotti} the Condotti instance
+ *                            has the required functionality. If it is omitted,
+ *                            and Promise is supported, a promise is returned
+ *                            instead. The failure is always logged as an
+ *                            error, so that it is not lost even if the
+ *                            promise is not waited for.
+ * @return {Condotti|Promise} the Condotti instance, or the promise to be
+ *                            resolved with the Condotti instance if the
+ *                            callback is not specified, including the case
+ *                            no module is specified at all
  */
 Condotti.prototype.use = function () {
     
@@ -228,14 +687,42 @@ Condotti.prototype.use = function () {
         stack = [],
         next = null,
         done = null,
-        filter = null;
+        filter = null,
+        collect = null,
+        collected = {},
+        optional = {},
+        mandatory = {},
+        promise = null;
     
     if (!params.length) {
         C.warn('No module is specified to be used.');
-        return;
+        return C.lang.Promise ? C.lang.Promise.resolve(C) : C;
     }
     
     callback = params[params.length - 1];
+    if (!C.lang.reflect.isFunction(callback) && C.lang.Promise) {
+        C.debug('Callback function is not specified, a promise is ' +
+                'returned instead.');
+        promise = new C.lang.Promise(function (resolve, reject) {
+            C.use.apply(C, params.concat([function (error) {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(C);
+            }]));
+        });
+        // the calls like C.use('x') without waiting for the promise are not
+        // expected to crash the process with the unhandled rejection, so the
+        // failure is logged as an error instead, while the rejection is still
+        // seen by the ones waiting for it
+        promise.then(null, function (error) {
+            C.error('Using modules ' + C.lang.reflect.inspect(params) + 
+                    ' failed. Error: ' + C.lang.reflect.inspect(error));
+        });
+        return promise;
+    }
+    
     if (C.lang.reflect.isFunction(callback)) {
         params.pop(); // remove the callback from module list
         callback = C.lang.async(callback);
@@ -260,7 +747,18 @@ Condotti.prototype.use = function () {
     // TODO: Wildcard can not be used in the module names to be used, because
     //       in some circumstance, such as web, modules under specified path
     //       can not be browsed/iterated      
+    try {
+        params = params.map(function (requirement) {
+            return C.resolve_(requirement);
+        });
+    } catch (e) {
+        callback(e, C);
+        return;
+    }
     stack.push(params);
+    params.forEach(function (requirement) {
+        mandatory[Condotti.parseRequirement(requirement).name] = true;
+    });
     
     done = function (error) {
         var dependencies = [];
@@ -280,21 +778,27 @@ Condotti.prototype.use = function () {
         //
         // Now that the required modules have been loaded successfully, it's
         // time to load their dependencies.
-        requires.forEach(function (name, index) {
-            var meta = null;
-            if (!(name in C.loaded_)) {
-                C.debug('Module ' + name + ' is supposed to be loaded ' +
-                        'successfully in this round, but it isn\'t.');
-                throw new C.errors.ModuleNotLoadedError(name);
-            }
-            
-            meta = C.loaded_[name].meta;
-            if (meta.requires && Array.isArray(meta.requires) &&
-                meta.requires.length) { // TODO: throw error if meta.requires
-                                        // is not an array?
-                dependencies = dependencies.concat(meta.requires);
-            }
-        });
+        try {
+            requires.forEach(function (requirement, index) {
+                var name = Condotti.parseRequirement(requirement).name;
+                if (!(name in C.loaded_) && !(name in mandatory)) {
+                    C.debug('Optional module ' + name + ' is not available, ' +
+                            'and it is skipped.');
+                    return;
+                }
+                
+                if (!(name in C.loaded_)) {
+                    C.debug('Module ' + name + ' is supposed to be loaded ' +
+                            'successfully in this round, but it isn\'t.');
+                    throw new C.errors.ModuleNotLoadedError(name);
+                }
+                
+                dependencies = dependencies.concat(collect(name));
+            });
+        } catch (e) {
+            callback(e, C);
+            return;
+        }
         
         if (!dependencies.length) {
             C.debug('No dependency is found for the current loaded modules, ' +
@@ -308,18 +812,58 @@ Condotti.prototype.use = function () {
         C.lang.nextTick(next);
     };
     
+    collect = function (name) {
+        var dependencies = [];
+        
+        if (name in collected) {
+            return dependencies;
+        }
+        collected[name] = true;
+        
+        // the dependencies of all the loaded versions of the module are 
+        // collected, since which version is to be attached can only be decided
+        // when calculating. The optional ones are recorded so that not finding
+        // them is not an error.
+        Condotti.findVersions(name, '*', C.loaded_).forEach(function (module) {
+            var requires = C.getRequires_(module);
+            
+            requires.requires.forEach(function (requirement) {
+                mandatory[Condotti.parseRequirement(requirement).name] = true;
+            });
+            requires.optional.forEach(function (requirement) {
+                optional[Condotti.parseRequirement(requirement).name] = true;
+            });
+            dependencies = dependencies.concat(requires.requires,
+                                               requires.optional);
+        });
+        
+        return dependencies;
+    };
+    
     filter = function (modules) {
         var unique = {},
-            result = [];
+            result = [],
+            dependencies = [];
             
         modules.forEach(function (module, index) {
-            if ((module in C.loaded_) || (module in unique)) {
+            var name = Condotti.parseRequirement(module).name;
+            if (name in C.loaded_) {
+                // the modules loaded before, such as the ones pre-registered
+                // in a bundle, may still depend on the modules not loaded yet
+                dependencies = dependencies.concat(collect(name));
                 return true;
             }
-            unique[module] = true;
+            if (name in unique) {
+                return true;
+            }
+            unique[name] = true;
             result.push(module);
         });
         
+        if (dependencies.length) {
+            stack.push(dependencies);
+        }
+        
         return result;
     };
     
@@ -331,12 +875,10 @@ Condotti.prototype.use = function () {
             C.debug('Modules ' + C.lang.reflect.inspect(params) + 
                     ' and their dependencies have been successfully loaded.');
             
-            try {
-                C.attach_(params); // attach the initial required modules
-                callback(null, C);
-            } catch (e) {
-                callback(e, C);
-            }
+            // attach the initial required modules
+            C.attach_(params, function (error) {
+                callback(error || null, C);
+            });
             return;
         }
         
@@ -361,8 +903,36 @@ Condotti.prototype.use = function () {
         C.debug('But only modules ' + C.lang.reflect.inspect(requires) +
                 ' need to be loaded via the loader after filtering');
         C.lang.nextTick(function () {
-            // load all the required modules
-            C.loader_.require(requires, done);
+            var names = requires.map(function (requirement) {
+                    return Condotti.parseRequirement(requirement).name;
+                }),
+                limit = (C.config_.loader && C.config_.loader.concurrency) ||
+                        names.length;
+            
+            // load all the required modules of this round concurrently, at
+            // most "concurrency" of them at the same time as configured
+            try {
+                C.async.forEachLimit(names, limit, function (name, next) {
+                    C.loader_.require([name], function (error) {
+                        // only the missing optional modules are skipped, the
+                        // broken ones are still reported
+                        if (error && !(name in mandatory) &&
+                            error instanceof C.errors.ModuleNotFoundError) {
+                            C.debug('Optional module ' + name + ' can not ' +
+                                    'be found, and it is skipped. Error: ' +
+                                    C.lang.reflect.inspect(error));
+                            error = null;
+                        }
+                        next(error);
+                    });
+                }, done);
+            } catch (e) {
+                C.debug('Requiring modules ' + 
+                        C.lang.reflect.inspect(requires) + 
+                        ' via the loader failed. Error: ' +
+                        C.lang.reflect.inspect(e));
+                callback(e, C);
+            }
         });
     };
     
@@ -371,6 +941,65 @@ Condotti.prototype.use = function () {
     return C;
 };
 
+/**
+ * Attach the required modules to the Condotti instance, and return a promise to
+ * be resolved with the namespaces attached by these modules, in the same order
+ * as the module names. The namespace attached by a module is specified by the
+ * "namespace" field of its meta, such as 'lang.reflect' for module 
+ * 'condotti.reflect'. If it is not specified, the module name without the first
+ * token is used, for example, 'async' for module 'condotti.async'.
+ *
+ * @method useAll
+ * @param {Array} names the names of the modules to be attached
+ * @return {Promise} the promise to be resolved with the attached namespaces
+ */
+Condotti.prototype.useAll = function (names) {
+    var C = this;
+    
+    if (!C.lang.Promise) {
+        throw new C.errors.NotImplementedError('Method useAll requires ' +
+                                               'Promise, which is not ' +
+                                               'supported here.');
+    }
+    
+    return C.use(names).then(function () {
+        return names.map(function (name) {
+            return C.getNamespace_(name);
+        });
+    });
+};
+
+/**
+ * Return the namespace attached by the specified module. See useAll for the
+ * details about how the namespace is decided.
+ *
+ * @method getNamespace_
+ * @param {String} requirement the requirement on the attached module
+ * @return {Object} the namespace attached, or undefined if it does not exist
+ */
+Condotti.prototype.getNamespace_ = function (requirement) {
+    var C = this,
+        name = Condotti.parseRequirement(C.resolve_(requirement)).name,
+        module = C.attached_[name],
+        tokens = name.split('.'),
+        namespace = null;
+    
+    if (!module) {
+        throw new C.errors.ModuleNotLoadedError(name);
+    }
+    
+    namespace = module.meta.namespace || 
+                (tokens.length > 1 ? tokens.slice(1).join('.') : name);
+    
+    try {
+        return C.namespace(namespace, false);
+    } catch (e) {
+        C.debug('Namespace ' + namespace + ' attached by module ' + name + 
+                ' does not exist.');
+        return undefined;
+    }
+};
+
 /**
  * Calculate the dependencies of a specified module, and save the dependency
  * list into the dependencies_ object. Note
@@ -378,94 +1007,270 @@ Condotti.prototype.use = function () {
  * expected to be loaded before the required one, not only the one it
  * depends on directly, but also the modules its dependency depends.
  *
+ * When several versions of a module have been loaded, the highest one that
+ * satisfies all the requirements on it is selected, and saved into the
+ * selected_ object, so that the following calculations on this instance stick
+ * to the same version. If no such version exists, VersionConflictError is
+ * thrown with the requirement chains leading to the module. When a selection
+ * is changed, the calculation restarts without the requirements found via the
+ * version selected before.
+ *
  * @method calculate_
- * @param {String} name the module name to be calculated
+ * @param {String} requirement the module requirement to be calculated, which
+ *                             is the module name with an optional version
+ *                             range, such as 'condotti.async@^0.2'
  */
-Condotti.prototype.calculate_ = function (name) {
+Condotti.prototype.calculate_ = function (requirement) {
     var C = this,
-        trace = {},
-        unique = {},
-        dependencies = [];
-        
+        root = Condotti.parseRequirement(requirement),
+        constraints = {},
+        selected = null,
+        previous = {},
+        states = {},
+        state = null,
+        trace = null,
+        unique = null,
+        path = null,
+        dependencies = null,
+        restart = false,
+        candidates = null,
+        select = null,
+        conflict = null,
+        drop = null,
+        name = null;
+    
     /**
-     * some day maybe we have to convert the recursive calls to 
-     * iterative calls
+     * Return the versions of the module the current instance can select from,
+     * which is only the selected one if a selection has already been made.
      */
-    (function (current) {
-        var requires = null,
-            index = 0,
-            length = 0;
-        
-        C.debug('Calculating module ' + current + ' ...');
-        
-        if (!(current in C.loaded_)) {
-            C.debug('Module to be attached [' + current + 
-                    '] has not been loaded.');
-            throw new C.errors.ModuleNotLoadedError(current);
-        }
-        
-        if (current in unique) {
-            C.debug('Module ' + current + ' has already been calculated.');
-            return;
-        }
+    candidates = function (name) {
+        return C.selected_[name] ? [C.selected_[name]] :
+                                   Condotti.findVersions(name, '*', C.loaded_);
+    };
+    
+    /**
+     * Select the highest version of the module satisfying all the known 
+     * requirements on it, and null is returned if there is no such one.
+     */
+    select = function (name) {
+        return candidates(name).filter(function (module) {
+            return constraints[name].every(function (constraint) {
+                return Condotti.satisfies(module.version, constraint.range);
+            });
+        })[0] || null;
+    };
+    
+    /**
+     * Drop the requirements found via the version of the module selected in
+     * the previous round, which are stale since another version is selected.
+     */
+    drop = function (name, module) {
+        var label = name + '@' + (module.version || '0.0.0');
         
-        if (current in trace) {
-            C.debug('Circular dependency on module ' + current + 
-                    ' has been detected.');
-            throw new C.errors.CircularDependencyError(name, current);
-        }
+        Object.keys(constraints).forEach(function (key) {
+            constraints[key] = constraints[key].filter(function (constraint) {
+                return constraint.chain.slice(0, -1).indexOf(label) < 0;
+            });
+        });
+    };
+    
+    conflict = function (name) {
+        C.debug('No version of module ' + name + ' satisfies all the ' +
+                'requirements on it: ' + 
+                C.lang.reflect.inspect(constraints[name]));
+        return new C.errors.VersionConflictError(
+            name, 
+            constraints[name], 
+            candidates(name).map(function (module) {
+                return module.version || '0.0.0';
+            })
+        );
+    };
+    
+    do {
+        restart = false;
+        selected = {};
+        trace = {};
+        unique = {};
+        path = [];
+        dependencies = [];
         
-        trace[current] = true;
+        /**
+         * some day maybe we have to convert the recursive calls to 
+         * iterative calls
+         */
+        (function (current, range) {
+            var requires = null,
+                module = null,
+                label = current + ('*' === range ? '' : '@' + range),
+                chain = path.concat([label]),
+                cycle = null,
+                index = 0,
+                length = 0,
+                next = null;
             
-        requires = C.loaded_[current].meta.requires || [];
-        length = requires.length;
-        if (0 === length) {
-            C.debug('Module ' + current + ' does not depend on other modules');
-        } else {
-            C.debug('Dependencies of module ' + current + 
-                    C.lang.reflect.inspect(requires) + 
-                    ' are gonna be calculated.');
-        
-            for (index = 0; index < length; index += 1) {
-                arguments.callee(requires[index]);
+            C.debug('Calculating module ' + label + ' ...');
+            
+            if (!(current in C.loaded_)) {
+                C.debug('Module to be attached [' + current + 
+                        '] has not been loaded.');
+                throw new C.errors.ModuleNotLoadedError(current);
             }
-        }
-        
-        
-        C.debug('Module ' + current + ' has been successfully calculated.');
-        delete trace[current];
-        
-        dependencies.push(current);
-        unique[current] = true;
-        
-    })(name);
+            
+            constraints[current] = constraints[current] || [];
+            if (!constraints[current].some(function (constraint) {
+                    return constraint.chain.join(' -> ') === 
+                           chain.join(' -> ');
+                })) {
+                constraints[current].push({ range: range, chain: chain });
+            }
+            
+            module = selected[current];
+            if (module && !Condotti.satisfies(module.version, range)) {
+                if (!select(current)) {
+                    throw conflict(current);
+                }
+                
+                // the same selections and requirements lead to the same
+                // round, which never ends
+                state = Object.keys(constraints).sort().map(function (name) {
+                    return constraints[name].map(function (constraint) {
+                        return constraint.chain.join(' -> ');
+                    }).join('; ');
+                }).concat(Object.keys(selected).sort().map(function (name) {
+                    return name + '@' + (selected[name].version || '0.0.0');
+                })).join('\n');
+                if (states[state]) {
+                    throw conflict(current);
+                }
+                states[state] = true;
+                
+                C.debug('Version ' + module.version + ' of module ' + 
+                        current + ' selected before does not satisfy ' +
+                        'the requirement ' + label + ', calculation is ' + 
+                        'gonna restart.');
+                restart = true;
+                return;
+            }
+            
+            if (current in unique) {
+                C.debug('Module ' + current + ' has already been calculated.');
+                return;
+            }
+            
+            if (current in trace) {
+                cycle = path.map(function (label) {
+                    return Condotti.parseRequirement(label).name;
+                });
+                cycle = cycle.slice(cycle.lastIndexOf(current));
+                cycle.push(current);
+                C.debug('Circular dependency ' + cycle.join(' -> ') + 
+                        ' has been detected.');
+                throw new C.errors.CircularDependencyError(root.name, current,
+                                                           cycle);
+            }
+            
+            module = select(current);
+            if (!module) {
+                throw conflict(current);
+            }
+            
+            if (previous[current] && previous[current] !== module) {
+                drop(current, previous[current]);
+            }
+            previous[current] = module;
+            
+            selected[current] = module;
+            trace[current] = true;
+            // the chains carry the selected versions, such as
+            // 'app.a@2.0.0 -> app.c@^2', which tell the stale ones
+            path.push(current + '@' + (module.version || '0.0.0'));
+            
+            requires = C.getRequires_(module);
+            requires = requires.requires.concat(
+                requires.optional.filter(function (requirement) {
+                    return Condotti.parseRequirement(requirement).name in 
+                           C.loaded_;
+                })
+            );
+            length = requires.length;
+            if (0 === length) {
+                C.debug('Module ' + current + 
+                        ' does not depend on other modules');
+            } else {
+                C.debug('Dependencies of module ' + current + 
+                        C.lang.reflect.inspect(requires) + 
+                        ' are gonna be calculated.');
+                
+                for (index = 0; index < length; index += 1) {
+                    next = Condotti.parseRequirement(requires[index]);
+                    arguments.callee(next.name, next.range);
+                    if (restart) {
+                        return;
+                    }
+                }
+            }
+            
+            
+            C.debug('Module ' + current + ' has been successfully calculated.');
+            delete trace[current];
+            path.pop();
+            
+            dependencies.push(current);
+            unique[current] = true;
+            
+        })(root.name, root.range);
+    } while (restart);
     
     if (dependencies.length) {
-        C.debug('The dependencies of module ' + name + ' are: ' + 
+        C.debug('The dependencies of module ' + requirement + ' are: ' + 
                 C.lang.reflect.inspect(dependencies));
     } else {
-        C.debug('Module ' + name + ' does not depend on other modules');
+        C.debug('Module ' + requirement + ' does not depend on other modules');
     }
     
-    C.dependencies_[name] = dependencies;
+    for (name in selected) {
+        if (selected.hasOwnProperty(name)) {
+            C.selected_[name] = selected[name];
+        }
+    }
+    
+    C.dependencies_[requirement] = dependencies;
 };
 
 /**
  * Attach the required modules to the Condotti instance by executing the function
  * associated with each of the modules.
  *
+ * The function of a module can be asynchronous, by either returning a promise,
+ * or accepting a callback as the third param, in the form of
+ * 'function (C, config, done) {}', where "done" is expected to be called as
+ * 'done(error, teardown)'. The asynchronous modules can only be attached when
+ * the callback is specified, and the modules depending on them are attached
+ * after they are ready. The modules are attached layer by layer, and the ones
+ * in the same layer are attached in parallel.
+ *
  * @method attach_
  * @private
  * @param {Array} names the arrray of module names to be attached to the 
- *                        Condotti instances
+ *                        Condotti instances, each of which can carry a
+ *                        version range, such as 'condotti.async@^0.2'
+ * @param {Function} callback the callback function to be invoked when all the
+ *                            modules have been attached, or some error
+ *                            occurs. The signature of the callback is
+ *                            'function (error) {}'. If it is omitted, the
+ *                            modules are attached synchronously, and the
+ *                            errors are thrown directly.
+ * @return {Condotti} the Condotti instance
  */
-Condotti.prototype.attach_ = function (names) {
+Condotti.prototype.attach_ = function (names, callback) {
     var index = 0,
         length = names.length,
         name = null,
+        requirement = null,
         C = this,
-        fn = null,
-        stack = [];
+        stack = [],
+        layers = null;
     
     // set a dummy debug function when attaching modules before the logging
     // module is successfully attached
@@ -474,54 +1279,572 @@ Condotti.prototype.attach_ = function (names) {
         return ''; // dummy inspect function for temparary usage 
     }} };
     
-    for (index = 0; index < length; index += 1) {
-        name = names[index];
-        if (name in C.attached_) {
-            C.debug('Module ' + name + ' has already been attached.');
-            continue;
+    try {
+        for (index = 0; index < length; index += 1) {
+            name = C.resolve_(names[index]);
+            requirement = Condotti.parseRequirement(name);
+            if ((requirement.name in C.attached_) &&
+                Condotti.satisfies(C.attached_[requirement.name].version, 
+                                   requirement.range)) {
+                C.debug('Module ' + name + ' has already been attached.');
+                continue;
+            }
+            
+            if (!(name in C.dependencies_)) {
+                C.debug('Module ' + name + ' has not been calculated yet.');
+                C.calculate_(name);
+            }
+            
+            stack = stack.concat(C.dependencies_[name]);
         }
         
-        if (!(name in C.dependencies_)) {
-            C.debug('Module ' + name + ' has not been calculated yet.');
-            C.calculate_(name);
+        C.debug('Modules to be attached before filter: ' + 
+                C.lang.reflect.inspect(stack));
+        stack = stack.filter(function (name, index) {
+            return !(name in C.attached_) && (stack.indexOf(name) === index);
+        });
+        
+        layers = C.layers_(stack);
+        C.debug('Modules to be attached in layers: ' + 
+                C.lang.reflect.inspect(layers));
+    } catch (e) {
+        if (!callback) {
+            throw e;
+        }
+        callback(e);
+        return C;
+    }
+    
+    if (!callback) {
+        layers.forEach(function (layer) {
+            layer.forEach(function (name) {
+                C.invoke_(name);
+            });
+        });
+        return C;
+    }
+    
+    C.async.forEachSeries(layers, function (layer, next) {
+        C.async.forEach(layer, function (name, next) {
+            C.invoke_(name, next);
+        }, next);
+    }, function (error) {
+        callback(error || null);
+    });
+    
+    return C;
+};
+
+/**
+ * Attach the calculated module by executing its function, and wait for it if
+ * it is asynchronous.
+ *
+ * @method invoke_
+ * @private
+ * @param {String} name the name of the module to be attached
+ * @param {Function} callback the callback function to be invoked when the
+ *                            module has been attached, or some error occurs.
+ *                            If it is omitted, the module is attached
+ *                            synchronously, and the error is thrown directly.
+ */
+Condotti.prototype.invoke_ = function (name, callback) {
+    var C = this,
+        module = C.selected_[name],
+        fn = module.fn,
+        completed = false,
+        complete = null,
+        result = null;
+    
+    if (name in C.attached_) {
+        C.debug('Module ' + name + ' has already been attached.');
+        if (callback) {
+            callback();
+        }
+        return;
+    }
+    
+    if (name in C.attaching_) {
+        C.debug('Module ' + name + ' is being attached, wait for it.');
+        if (!callback) {
+            throw new C.errors.ModuleAttachError(module, new Error(
+                'Module ' + name + ' is being attached asynchronously.'
+            ));
+        }
+        C.attaching_[name].push(callback);
+        return;
+    }
+    
+    C.attaching_[name] = callback ? [callback] : [];
+    complete = function (error, teardown) {
+        var callbacks = C.attaching_[name];
+        
+        if (completed) {
+            return;
+        }
+        completed = true;
+        delete C.attaching_[name];
+        
+        if (error) {
+            C.debug('Module ' + name + ' is failed to be attached. Error: ' + 
+                    C.lang.reflect.inspect(error));
+            error = new C.errors.ModuleAttachError(module, error);
+            if (!callback) {
+                throw error;
+            }
+        } else {
+            if ('function' === typeof teardown) {
+                C.teardowns_[name] = teardown;
+            }
+            C.attached_[name] = module;
+            C.debug('Module ' + name + ' is attached successfully.');
+        }
+        
+        callbacks.forEach(function (callback) {
+            callback(error || null);
+        });
+    };
+    
+    try {
+        C.debug(
+            'Attaching module ' + name + 
+            (module.version ? '@' + module.version : '') + 
+            (C.config_[name] ? 
+             ' with configure: ' + C.lang.reflect.inspect(C.config_[name]) : 
+             ''
+            )
+        );
+        if (!fn) {
+            C.debug('Module ' + name + ' is a virtual one, which only ' +
+                    'requires other modules.');
+            complete(null);
+            return;
         }
         
-        stack = stack.concat(C.dependencies_[name]);
+        // make `this` === C in order to load some external modules, such
+        // as the async module into C. A function returned or passed to "done"
+        // is kept as the teardown function of the module.
+        if (fn.length > 2) {
+            if (!callback) {
+                throw new Error('Module ' + name + ' is asynchronous, and ' +
+                                'can not be attached synchronously.');
+            }
+            //      (this, C, config for the module, done)
+            fn.call(C,    C, C.config_[name],        complete);
+            return;
+        }
+        //               (this, C, config for the module)
+        result = fn.call(C,    C, C.config_[name]);
+    } catch (e) {
+        complete(e);
+        return;
     }
     
-    C.debug('Modules to be attached before filter: ' + 
-            C.lang.reflect.inspect(stack));
-    length = stack.length;
-    for (index = 0; index < length; index += 1) {
-        name = stack[index];
-        if (name in C.attached_) {
-            C.debug('Module ' + name + ' has already been attached.');
-            continue;
+    if (!result || 'function' !== typeof result.then) {
+        complete(null, result);
+        return;
+    }
+    
+    if (!callback) {
+        complete(new Error('Module ' + name + ' returns a promise, and can ' +
+                           'not be attached synchronously.'));
+        return;
+    }
+    
+    C.debug('Module ' + name + ' returns a promise, wait for it.');
+    result.then(function (teardown) {
+        complete(null, teardown);
+    }, function (error) {
+        complete(error || new Error('Module ' + name + ' is rejected.'));
+    });
+};
+
+/**
+ * Return the requirements of the module, which are the ones listed in the
+ * "requires" and the "optional" fields of its meta, together with the ones of
+ * the matching conditions in the "when" field. The optional modules are
+ * attached if they are available, and skipped silently if they can not be
+ * found, while the errors loading them are still reported. The "when"
+ * field is a list of conditions in the form of:
+ *
+ * [
+ *     { env: 'server', requires: ['condotti.server.core'] },
+ *     { env: 'web', requires: ['condotti.web.core'] },
+ *     { config: 'features.cache', optional: ['acme.cache'] }
+ * ]
+ *
+ * See `matches_` for how the conditions are evaluated.
+ *
+ * @method getRequires_
+ * @private
+ * @param {Object} module the module entry
+ * @return {Object} the requirements in the form of
+ *                  { requires: [...], optional: [...] }
+ */
+Condotti.prototype.getRequires_ = function (module) {
+    var C = this,
+        meta = module.meta,
+        result = {
+            requires: [].concat(meta.requires || []),
+            optional: [].concat(meta.optional || [])
+        };
+    
+    (meta.when || []).forEach(function (condition) {
+        if (!C.matches_(condition)) {
+            return;
         }
         
-        fn = C.loaded_[name].fn;
+        result.requires = result.requires.concat(condition.requires || []);
+        result.optional = result.optional.concat(condition.optional || []);
+    });
+    
+    result.requires = result.requires.map(function (requirement) {
+        return C.resolve_(requirement);
+    });
+    result.optional = result.optional.map(function (requirement) {
+        return C.resolve_(requirement);
+    });
+    
+    return result;
+};
+
+/**
+ * Resolve the aliases in the requirement according to the "aliases" field of
+ * the config, see `Condotti.resolveAlias` for details, for example:
+ *
+ * {
+ *     "aliases": {
+ *         "db": "acme.storage.postgres@^2",
+ *         "cache": "acme.storage.redis"
+ *     }
+ * }
+ *
+ * @method resolve_
+ * @private
+ * @param {String} requirement the requirement to be resolved, such as 'db'
+ * @return {String} the resolved requirement, such as 
+ *                  'acme.storage.postgres@^2', or the original one if it is
+ *                  not an alias
+ */
+Condotti.prototype.resolve_ = function (requirement) {
+    var C = this,
+        resolved = null;
+    
+    try {
+        resolved = Condotti.resolveAlias(requirement, C.config_.aliases);
+    } catch (e) {
+        throw C.errors ? new C.errors.InvalidArgumentError(e.message) : e;
+    }
+    
+    if (resolved !== requirement) {
+        C.debug('Module ' + requirement + ' is resolved to ' + resolved + 
+                ' via the aliases.');
+    }
+    return resolved;
+};
+
+/**
+ * Check whether the condition in the "when" field of the module meta matches
+ * this instance. A condition can specify the environment via the "env" field,
+ * which is compared with C.env, such as 'server' or 'web', and the config flag
+ * via the "config" field, which is the dotted path of the value in the config
+ * of this instance, such as 'features.cache', and is expected to be truthy,
+ * or falsy if it starts with a '!'. All the specified fields have to match.
+ *
+ * @method matches_
+ * @private
+ * @param {Object} condition the condition to be checked
+ * @return {Boolean} true if the condition matches, otherwise false
+ */
+Condotti.prototype.matches_ = function (condition) {
+    var C = this,
+        flag = condition.config,
+        negated = false,
+        value = C.config_;
+    
+    if (condition.env && condition.env !== C.env) {
+        return false;
+    }
+    
+    if (flag) {
+        if ('!' === flag.charAt(0)) {
+            negated = true;
+            flag = flag.substring(1);
+        }
+        
+        flag.split('.').forEach(function (token) {
+            value = (undefined === value || null === value) ? undefined :
+                                                              value[token];
+        });
+        
+        if (!value !== negated) {
+            return false;
+        }
+    }
+    
+    return true;
+};
+
+/**
+ * Group the calculated modules to be attached into layers, so that the modules
+ * in the same layer do not depend on each other, and can be attached in
+ * parallel once the previous layers have been attached. Before the algorithm
+ * module is attached, such as when attaching the core modules, each module is
+ * put into a layer of its own, following the calculated order.
+ *
+ * @method layers_
+ * @private
+ * @param {Array} names the names of the modules to be attached, in the
+ *                      calculated order
+ * @return {Array} the layers, each of which is a list of module names
+ */
+Condotti.prototype.layers_ = function (names) {
+    var C = this;
+    
+    if (!C.algorithm) {
+        return names.map(function (name) {
+            return [name];
+        });
+    }
+    
+    return C.algorithm.sorting.layers(names, function (name) {
+        var requires = C.getRequires_(C.selected_[name]);
+        
+        return requires.requires.concat(requires.optional).map(function (item) {
+            return Condotti.parseRequirement(item).name;
+        }).filter(function (dependency) {
+            return names.indexOf(dependency) >= 0;
+        });
+    });
+};
+
+/**
+ * Detach the specified module from the Condotti instance, together with all
+ * the attached modules depending on it. The dependents are detached before the
+ * modules they depend on, which is the reverse order of attaching. Detaching a
+ * module means calling the teardown function returned by its entry point, and
+ * then the "destroy" function in its meta, if they exist, so that the resources
+ * such as the timers and sockets can be released. After that, the module can
+ * be attached again via `use`.
+ *
+ * @method detach
+ * @param {String} name the name of the module to be detached
+ * @return {Condotti} the Condotti instance
+ */
+Condotti.prototype.detach = function (name) {
+    var C = this,
+        dependents = null;
+    
+    name = Condotti.parseRequirement(C.resolve_(name)).name;
+    if (!(name in C.attached_)) {
+        C.debug('Module ' + name + ' has not been attached, nothing need to ' +
+                'be detached.');
+        return C;
+    }
+    
+    dependents = C.getDependents_(name);
+    C.debug('Module ' + name + ' and its dependents ' + 
+            C.lang.reflect.inspect(dependents) + ' are gonna be detached.');
+    
+    return C.teardown_(dependents);
+};
+
+/**
+ * Re-attach the specified module and all the attached modules depending on it
+ * by detaching them first, and then attaching them again. Since the selected
+ * versions of them are reset when detaching, the latest loaded module entries
+ * are picked up, which is normally used when the module has been reloaded.
+ *
+ * @method reload
+ * @param {String} name the name of the module to be re-attached
+ * @param {Function} callback the optional callback function to be invoked
+ *                            after the modules have been re-attached, which is
+ *                            required if any of them is asynchronous, or
+ *                            requires the modules not loaded yet, which are
+ *                            loaded first only when it is specified. The
+ *                            signature of the callback is
+ *                            'function (error) {}'
+ * @return {Condotti} the Condotti instance
+ */
+Condotti.prototype.reload = function (name, callback) {
+    var C = this,
+        dependents = null,
+        roots = null;
+    
+    name = Condotti.parseRequirement(C.resolve_(name)).name;
+    if (!(name in C.attached_)) {
+        C.debug('Module ' + name + ' has not been attached, nothing need to ' +
+                'be re-attached.');
+        if (callback) {
+            callback(null);
+        }
+        return C;
+    }
+    
+    dependents = C.getDependents_(name);
+    C.debug('Module ' + name + ' and its dependents ' + 
+            C.lang.reflect.inspect(dependents) + ' are gonna be re-attached.');
+    
+    // only the dependents not depended on by the others are attached again,
+    // so that the versions of the rest are selected against the ranges the
+    // others require, instead of the highest ones
+    roots = dependents.filter(function (dependent) {
+        return !dependents.some(function (other) {
+            return other !== dependent &&
+                   C.dependencies_[other].indexOf(dependent) >= 0;
+        });
+    });
+    
+    if (!callback) {
+        C.teardown_(dependents);
+        return C.attach_(roots);
+    }
+    
+    try {
+        C.teardown_(dependents);
+    } catch (e) {
+        callback(e);
+        return C;
+    }
+    
+    // re-attached via "use", so that the modules newly required by the
+    // reloaded one are loaded
+    return C.use(roots, function (error) {
+        callback(error || null);
+    });
+};
+
+/**
+ * Return the names of the attached modules depending on the specified one,
+ * directly or indirectly, including the module itself.
+ *
+ * @method getDependents_
+ * @param {String} name the name of the module
+ * @return {Array} the names of the dependent modules
+ */
+Condotti.prototype.getDependents_ = function (name) {
+    var C = this;
+    
+    return Object.keys(C.attached_).filter(function (attached) {
+        if (!(attached in C.dependencies_)) {
+            C.calculate_(attached);
+        }
+        return C.dependencies_[attached].indexOf(name) >= 0;
+    });
+};
+
+/**
+ * Run the function with the registry of this instance as the one Condotti.add
+ * adds the modules into, which is expected to be called by the loaders when
+ * executing the module files, so that the modules go into the child registry
+ * of this instance if it has one.
+ *
+ * @method register_
+ * @param {Function} fn the function to be run
+ * @return {Object} the value returned by the function
+ */
+Condotti.prototype.register_ = function (fn) {
+    var previous = Condotti.registry_;
+    
+    Condotti.registry_ = this.loaded_;
+    try {
+        return fn();
+    } finally {
+        Condotti.registry_ = previous;
+    }
+};
+
+/**
+ * Destroy the Condotti instance by detaching all the attached modules,
+ * including the core ones, and destroying the module loader if it supports.
+ * Note that the instance can not be used any more after it is destroyed.
+ *
+ * @method destroy
+ * @return {Condotti} the Condotti instance
+ */
+Condotti.prototype.destroy = function () {
+    var C = this,
+        index = Condotti.instances_.indexOf(C);
+    
+    C.debug('Condotti instance is gonna be destroyed.');
+    if (index >= 0) {
+        Condotti.instances_.splice(index, 1);
+    }
+    
+    if (C.loader_ && C.lang.reflect.isFunction(C.loader_.destroy)) {
+        C.loader_.destroy();
+    }
+    
+    return C.teardown_(Object.keys(C.attached_));
+};
+
+/**
+ * Tear down the specified attached modules in the reverse topological order
+ * based on the dependencies_ object. Errors thrown when tearing down a module
+ * do not stop the others from being torn down, and the first one of them is
+ * thrown as ModuleDetachError after all the modules are torn down.
+ *
+ * @method teardown_
+ * @param {Array} names the names of the attached modules to be torn down
+ * @return {Condotti} the Condotti instance
+ */
+Condotti.prototype.teardown_ = function (names) {
+    var C = this,
+        unique = {},
+        stack = [],
+        errors = [];
+    
+    names.forEach(function (name) {
+        unique[name] = true;
+    });
+    
+    names.forEach(function (name) {
+        if (!(name in C.dependencies_)) {
+            C.calculate_(name);
+        }
+        
+        C.dependencies_[name].forEach(function (dependency) {
+            if (unique[dependency] && stack.indexOf(dependency) < 0) {
+                stack.push(dependency);
+            }
+        });
+    });
+    
+    stack.reverse().forEach(function (name) {
+        var module = C.attached_[name],
+            teardown = C.teardowns_[name];
+        
+        C.debug('Detaching module ' + name + ' ...');
         try {
-            C.debug(
-                'Attaching module ' + name + 
-                (C.config_[name] ? 
-                 ' with configure: ' + C.lang.reflect.inspect(C.config_[name]) : 
-                 ''
-                )
-            );
-            //     (this, C, config for the module)
-            fn.call(C,    C, C.config_[name]); // make `this` === C in order to
-                                               // load some external modules, 
-                                               // such as the async module into 
-                                               // C
-            C.attached_[name] = true;
-            C.debug('Module ' + name + ' is attached successfully.');
+            if (teardown) {
+                teardown.call(C);
+            }
+            
+            if (C.lang.reflect.isFunction(module.meta.destroy)) {
+                module.meta.destroy.call(C, C, C.config_[name]);
+            }
+            C.debug('Module ' + name + ' is detached successfully.');
         } catch (e) {
-            C.debug('Module ' + name + ' is failed to be attached. Error: ' + 
+            C.debug('Module ' + name + ' is failed to be detached. Error: ' +
                     C.lang.reflect.inspect(e));
-            throw new C.errors.ModuleAttachError(C.loaded_[name], e);
+            errors.push(new C.errors.ModuleDetachError(module, e));
         }
+        
+        delete C.attached_[name];
+        delete C.teardowns_[name];
+        delete C.selected_[name];
+        
+        // the calculated dependencies containing the detached module are 
+        // invalid now, since another version of it may be selected next time
+        Object.keys(C.dependencies_).forEach(function (key) {
+            if (C.dependencies_[key].indexOf(name) >= 0) {
+                delete C.dependencies_[key];
+            }
+        });
+    });
+    
+    if (errors.length) {
+        throw errors[0];
     }
     
     return C;
 };
-
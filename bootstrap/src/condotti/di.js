@@ -12,18 +12,28 @@ Condotti.add('condotti.di', function (C) {
      * inspired by the BeansFactory class from the famous JAVA framework 
      * "spring".
      *
+     * The objects are singletons by default, which are created once and
+     * shared. The "scope" field of the object config can be 'prototype', when
+     * a new object is created every time it is required, or 'scoped', when
+     * the object is shared within the scope it is required in. The scopes are
+     * the child factories created via `createScope`, such as one per HTTP
+     * request, in which the singletons are still the ones of the root factory.
+     *
      * @class DottiFactory
      * @constructor
      * @param {Object} config the config for this dotti factory
      * @param {String} id the identifier of this factory instance in itself
+     * @param {DottiFactory} parent the parent factory if this factory is a
+     *                              child scope, optional
      */
-    function DottiFactory (config, id) {
+    function DottiFactory (config, id, parent) {
         /**
          * The config object for this dotti factory.
          *
          * {
          *     "objectA": {
          *         "type": "typeA",
+         *         "scope": "scoped",
          *         "params": {
          *             1: { "reference": "objectB" },
          *             2: { "value": "this is a normal string param" },
@@ -32,6 +42,30 @@ Condotti.add('condotti.di', function (C) {
          *                 "value": "Tue Mar 26 2013 15:29:32 GMT+0800 (CST)"
          *             }
          *         }
+         *     },
+         *     "pool": {
+         *         "factory": "acme.db.createPool",
+         *         "params": { 0: { "value": "postgres://localhost/acme" } }
+         *     },
+         *     "connection": { "factoryBean": "pool", "factoryMethod": "open" },
+         *     "schema": {
+         *         "type": "acme.db.Schema",
+         *         "params": { 0: { "reference": "connection" } },
+         *         "init": "validate",
+         *         "initAsync": "load",
+         *         "destroy": "close"
+         *     },
+         *     "service": {
+         *         "type": "acme.Service",
+         *         "params": {
+         *             0: {
+         *                 "options": {
+         *                     "schema": { "reference": "schema" },
+         *                     "timeout": { "value": 3000 }
+         *                 }
+         *             }
+         *         },
+         *         "properties": { "logger": { "reference": "logger" } }
          *     }
          * }
          * 
@@ -49,6 +83,16 @@ Condotti.add('condotti.di', function (C) {
          */
         this.id_ = id || 'dotti';
         
+        /**
+         * The parent factory of this child scope, which creates and keeps the
+         * singletons
+         *
+         * @property parent_
+         * @type DottiFactory
+         * @default null
+         */
+        this.parent_ = parent || null;
+        
         /**
          * The logger instance
          * 
@@ -58,7 +102,8 @@ Condotti.add('condotti.di', function (C) {
         this.logger_ = C.logging.getObjectLogger(this);
         
         /**
-         * The cache keep track of the already created instances
+         * The cache keep track of the already created instances, except the
+         * ones of the 'prototype' scope
          * 
          * @property cache_
          * @type Object
@@ -66,6 +111,28 @@ Condotti.add('condotti.di', function (C) {
          */
         this.cache_ = {};
         
+        /**
+         * The objects being created asynchronously, which maps the names to
+         * the callbacks waiting for them
+         *
+         * @property pending_
+         * @type Object
+         * @default {}
+         */
+        this.pending_ = {};
+        
+        /**
+         * The names of the objects created and cached by this factory, in the
+         * order they are created, which is the dependency order computed by
+         * the topology sorting, so that they can be destroyed in the reverse
+         * order
+         *
+         * @property created_
+         * @type Array
+         * @default []
+         */
+        this.created_ = [];
+        
         /* initialize */
         this.set(this.id_, this);
     }
@@ -73,9 +140,15 @@ Condotti.add('condotti.di', function (C) {
     /**
      * Return the required object with the specified name. If the required
      * object has not been created yes, this factory is to be created first
-     * and store it in the cache property for future usage. When creating, this
-     * factory will calculate the dependencies of the required object, and
-     * create all of them when necessary.
+     * and store it in the cache property for future usage, unless its scope
+     * is 'prototype'. When creating, this factory will calculate the
+     * dependencies of the required object, and create all of them when
+     * necessary. Note that a 'prototype' object referred several times when
+     * creating the required object is only created once. The method specified
+     * by the "init" field of the config is called after each object is
+     * created, and ObjectCreateError naming the object is thrown if it fails.
+     * If any of the objects to be created has the "initAsync" method, the
+     * error is thrown before creating any of them, see `getAsync` instead.
      *
      * @method get
      * @param {String} name the name of the object to be returned
@@ -83,60 +156,348 @@ Condotti.add('condotti.di', function (C) {
      */
     DottiFactory.prototype.get = function (name) {
         var dependencies = null,
-            next = null,
+            created = {},
             self = this;
             
-        if (!this.cache_.hasOwnProperty(name)) {
+        if (this.cache_.hasOwnProperty(name)) {
+            return this.cache_[name];
+        }
+        
+        dependencies = this.calculate_(name);
+        dependencies.forEach(function (dependency) {
+            var config = self.config_[dependency];
             
-            if (!this.config_[name]) {
-                this.logger_.warn('Configuration for object ' + name + 
-                                  ' does not exist');
-                this.cache_[name] = null;
-                return null;
+            if (!self.cache_.hasOwnProperty(dependency) && config &&
+                config.initAsync && !(self.parent_ && 
+                'singleton' === self.getScope_(dependency))) {
+                throw new C.errors.ObjectCreateError(dependency, new Error(
+                    'Object ' + dependency + ' is initialized ' +
+                    'asynchronously, and can not be created synchronously.'
+                ));
             }
-            
-            next = function (current) {
-                var params = null;
-                
-                if (self.cache_[current]) { // dependency object has already
-                                            // been created
-                    return [];
+        });
+        
+        dependencies.forEach(function (dependency) {
+            created[dependency] = self.obtain_(dependency, created);
+        });
+        
+        return created[name];
+    };
+    
+    /**
+     * Return the required object with the specified name asynchronously. It
+     * works the same as `get`, except that the objects are created one by one
+     * in the dependency order, and the method specified by the "initAsync"
+     * field of the config is called and waited for after each object is
+     * created. The method is called with a callback 'function (error) {}',
+     * and can return a promise instead of calling the callback.
+     *
+     * @method getAsync
+     * @param {String} name the name of the object to be returned
+     * @param {Function} callback the callback function to be invoked with the
+     *                            required object, or the ObjectCreateError
+     *                            naming the object failed to be created. The
+     *                            signature of the callback is
+     *                            'function (error, object) {}'. If it is
+     *                            omitted, and Promise is supported, a promise
+     *                            is returned instead.
+     * @return {Promise} the promise to be resolved with the required object if
+     *                   the callback is not specified
+     */
+    DottiFactory.prototype.getAsync = function (name, callback) {
+        var dependencies = null,
+            created = {},
+            self = this;
+        
+        if (!C.lang.reflect.isFunction(callback) && C.lang.Promise) {
+            return new C.lang.Promise(function (resolve, reject) {
+                self.getAsync(name, function (error, object) {
+                    if (error) {
+                        reject(error);
+                        return;
+                    }
+                    resolve(object);
+                });
+            });
+        }
+        
+        callback = C.lang.async(callback || function () {});
+        
+        if (this.cache_.hasOwnProperty(name)) {
+            callback(null, this.cache_[name]);
+            return;
+        }
+        
+        try {
+            dependencies = this.calculate_(name);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        
+        C.async.forEachSeries(dependencies, function (dependency, next) {
+            self.obtain_(dependency, created, function (error, object) {
+                if (error) {
+                    next(error);
+                    return;
                 }
-                
-                if (!self.config_[current]) {
-                    self.logger_.warn('Configuration for object ' + current + 
-                                      ' does not exist');
-                    // self.cache_[current] = null;
-                    return [];
+                created[dependency] = object;
+                next();
+            });
+        }, function (error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            callback(null, created[name]);
+        });
+    };
+    
+    /**
+     * Calculate the objects to be created before the required one, in the
+     * dependency order, via the topology sorting on the references in the
+     * config. The objects created already, and the singletons of the parent
+     * factory are not traversed.
+     *
+     * @method calculate_
+     * @param {String} name the name of the required object
+     * @return {Array} the names of the objects, ending with the required one
+     */
+    DottiFactory.prototype.calculate_ = function (name) {
+        var self = this;
+        
+        // TODO: add logging here
+        return C.algorithm.sorting.topology(name, function (current) {
+            if (self.cache_.hasOwnProperty(current) || // dependency object has
+                                                       // already been created
+                !self.config_[current] ||
+                (self.parent_ && 'singleton' === self.getScope_(current))) {
+                return [];
+            }
+            
+            return self.getReferences_(current);
+        });
+    };
+    
+    /**
+     * Return the object with the specified name from the cache, the parent
+     * factory if it is a singleton and this factory is a child scope, or
+     * create and initialize it if it can not be found. Its dependencies are
+     * expected to be in the created objects already. The object is returned
+     * directly if the callback is not specified, in which case the object
+     * can not be initialized asynchronously.
+     *
+     * @method obtain_
+     * @param {String} name the name of the object
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
+     * @param {Function} callback the callback function to be invoked with the
+     *                            object, optional. The signature of the
+     *                            callback is 'function (error, object) {}'
+     * @return {Object} the object with the specified name if the callback is
+     *                  not specified
+     */
+    DottiFactory.prototype.obtain_ = function (name, created, callback) {
+        var scope = null,
+            object = null,
+            callbacks = callback ? [callback] : [],
+            completed = false,
+            complete = null,
+            self = this;
+        
+        if (this.pending_.hasOwnProperty(name)) {
+            this.logger_.debug('Object ' + name + ' is being created, wait ' +
+                               'for it.');
+            if (!callback) {
+                throw new C.errors.ObjectCreateError(name, new Error(
+                    'Object ' + name + ' is being created asynchronously.'
+                ));
+            }
+            this.pending_[name].push(callback);
+            return;
+        }
+        
+        if (!this.cache_.hasOwnProperty(name) && !this.config_[name]) {
+            this.logger_.warn('Configuration for object ' + name + 
+                              ' does not exist');
+            this.cache_[name] = null;
+        }
+        
+        if (this.cache_.hasOwnProperty(name)) {
+            if (callback) {
+                callback(null, this.cache_[name]);
+                return;
+            }
+            return this.cache_[name];
+        }
+        
+        complete = function (error) {
+            if (completed) {
+                return;
+            }
+            completed = true;
+            if (self.pending_[name] === callbacks) {
+                delete self.pending_[name];
+            }
+            
+            if (error) {
+                self.logger_.debug('Creating object ' + name + ' failed. ' +
+                                   'Error: ' + C.lang.reflect.inspect(error));
+                if (!(error instanceof C.errors.ObjectCreateError)) {
+                    error = new C.errors.ObjectCreateError(name, error);
                 }
-                
-                params = self.config_[current].params;
-                if (!params) {
-                    self.logger_.warn('There is no user-specified params for ' +
-                                      'this ' + name + ', default [] is used');
-                    params = [];
+                if (!callback) {
+                    throw error;
                 }
-                
-                return Object.keys(params).filter(function (name) {
-                        return 'reference' in params[name];
-                    }
-                ).map(function (name) {
-                    return params[name].reference;
-                });
-            };
-            // TODO: add logging here
-            dependencies = C.algorithm.sorting.topology(name, next);
+            } else if ('prototype' !== scope) {
+                self.cache_[name] = object;
+                self.created_.push(name);
+            }
             
-            dependencies.forEach(function (dependency) {
-                if (!self.cache_.hasOwnProperty(dependency)) {
-                    self.create_(dependency);
+            callbacks.forEach(function (callback) {
+                if (error) {
+                    callback(error);
+                    return;
                 }
+                callback(null, object);
             });
+        };
+        
+        try {
+            scope = this.getScope_(name);
+            if (this.parent_ && 'singleton' === scope) {
+                if (callback) {
+                    this.parent_.getAsync(name, callback);
+                    return;
+                }
+                return this.parent_.get(name);
+            }
+            
+            if (callback && 'prototype' !== scope) {
+                this.pending_[name] = callbacks;
+            }
+            object = this.create_(name, created);
+            this.initialize_(name, object, callback ? complete : null);
+        } catch (e) {
+            complete(e);
+            return;
+        }
+        
+        if (!callback) {
+            complete(null);
+            return object;
+        }
+    };
+    
+    /**
+     * Initialize the created object by calling its method specified by the
+     * "init" field of the config, then the one specified by the "initAsync"
+     * field, which is called with a callback 'function (error) {}', and can
+     * return a promise instead of calling the callback. The object with the
+     * "initAsync" method can not be initialized synchronously.
+     *
+     * @method initialize_
+     * @param {String} name the name of the object
+     * @param {Object} object the created object
+     * @param {Function} callback the callback function to be invoked after
+     *                            the object is initialized, optional. The
+     *                            signature of the callback is
+     *                            'function (error) {}'
+     */
+    DottiFactory.prototype.initialize_ = function (name, object, callback) {
+        var config = this.config_[name],
+            result = null;
+        
+        // checked before "init" is called on the object to be thrown away
+        if (config.initAsync && !callback) {
+            throw new Error('Object ' + name + ' is initialized ' +
+                            'asynchronously, and can not be created ' +
+                            'synchronously.');
         }
         
-        return this.cache_[name];
+        if (config.init) {
+            this.getMethod_(name, object, config.init).call(object);
+        }
+        
+        if (!config.initAsync) {
+            if (callback) {
+                callback(null);
+            }
+            return;
+        }
+        
+        result = this.getMethod_(name, object, config.initAsync).call(
+            object, callback
+        );
+        if (!result || 'function' !== typeof result.then) {
+            return;
+        }
+        
+        this.logger_.debug('Method ' + config.initAsync + ' of object ' + 
+                           name + ' returns a promise, wait for it.');
+        result.then(function () {
+            callback(null);
+        }, function (error) {
+            callback(error || new Error('Initializing object ' + name + 
+                                        ' is rejected.'));
+        });
     };
     
+    /**
+     * Return the method of the object with the specified name
+     *
+     * @method getMethod_
+     * @param {String} name the name of the object
+     * @param {Object} object the object
+     * @param {String} method the name of the method
+     * @return {Function} the method found
+     */
+    DottiFactory.prototype.getMethod_ = function (name, object, method) {
+        var fn = object ? object[method] : null;
+        
+        if (!C.lang.reflect.isFunction(fn)) {
+            throw new TypeError('Method ' + method + ' of the object ' + name +
+                                ' is expected to be a function, but ' +
+                                C.lang.reflect.getFunctionName(
+                                    C.lang.reflect.getObjectType(fn)
+                                ) + ' is found.');
+        }
+        
+        return fn;
+    };
+    
+    /**
+     * Return the scope of the object with the specified name, which is
+     * 'singleton' by default
+     *
+     * @method getScope_
+     * @param {String} name the name of the object
+     * @return {String} the scope of the object
+     */
+    DottiFactory.prototype.getScope_ = function (name) {
+        var scope = this.config_[name].scope || 'singleton';
+        
+        if (DottiFactory.SCOPES.indexOf(scope) < 0) {
+            throw new TypeError('Scope ' + scope + ' of the object ' + name +
+                                ' is not supported. Now only ' +
+                                DottiFactory.SCOPES.join(', ') +
+                                ' are supported.');
+        }
+        
+        return scope;
+    };
+    
+    /**
+     * Create a child scope of this factory, which shares the config and the
+     * singletons with this factory, but keeps its own 'scoped' objects. The
+     * identifier of the factory refers to the child scope itself in it.
+     *
+     * @method createScope
+     * @return {DottiFactory} the child scope
+     */
+    DottiFactory.prototype.createScope = function () {
+        return new DottiFactory(this.config_, this.id_, this);
+    };
     
     /**
      * Set an object with the specified name. Normally this method is used to
@@ -150,11 +511,65 @@ Condotti.add('condotti.di', function (C) {
      *                  has already been created
      */
     DottiFactory.prototype.set = function (name, object) {
-        var origin = this.cache_[name];
+        var origin = this.cache_[name],
+            index = this.created_.indexOf(name);
+        
         this.cache_[name] = object;
+        if (index >= 0) { // the object set is not to be destroyed by this
+                          // factory
+            this.created_.splice(index, 1);
+        }
         return origin;
     };
     
+    /**
+     * Destroy the objects created and cached by this factory in the reverse
+     * dependency order, by calling their methods specified by the "destroy"
+     * field of the config. The 'prototype' objects and the ones set via `set`
+     * are not destroyed, neither are the singletons of the parent factory
+     * if this factory is a child scope. Errors thrown when destroying an
+     * object do not stop the others from being destroyed, and the first one
+     * of them is thrown as ObjectDestroyError after all the objects are
+     * destroyed. The destroyed objects are removed from the cache, so they
+     * are created again when required next time.
+     *
+     * @method destroy
+     * @return {DottiFactory} this factory
+     */
+    DottiFactory.prototype.destroy = function () {
+        var errors = [],
+            self = this;
+        
+        this.created_.reverse().forEach(function (name) {
+            var config = self.config_[name],
+                object = self.cache_[name];
+            
+            delete self.cache_[name];
+            if (!config || !config.destroy) {
+                return;
+            }
+            
+            self.logger_.debug('Destroying object ' + name + ' ...');
+            try {
+                self.getMethod_(name, object, config.destroy).call(object);
+                self.logger_.debug('Object ' + name + 
+                                   ' is destroyed successfully.');
+            } catch (e) {
+                self.logger_.debug('Object ' + name + ' is failed to be ' +
+                                   'destroyed. Error: ' + 
+                                   C.lang.reflect.inspect(e));
+                errors.push(new C.errors.ObjectDestroyError(name, e));
+            }
+        });
+        this.created_ = [];
+        
+        if (errors.length) {
+            throw errors[0];
+        }
+        
+        return this;
+    };
+    
     /**
      * Re-configure this facotry via merging the original one with this 
      * new specified config object. However, this new config can not affect
@@ -178,33 +593,86 @@ Condotti.add('condotti.di', function (C) {
      * Create the required object with the specified name based on the config.
      * Note that when creating object with this method, one assumption is made
      * that the preprequisites of the required object have already been created
-     * and saved in the cache.
+     * and saved in the created objects.
      *
      * @method create_
      * @param {String} name the name of the object to be created
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
      * @return {Object} the created object
      */
-    DottiFactory.prototype.create_ = function (name) {
-        var type = null,
-            params = [],
+    DottiFactory.prototype.create_ = function (name, created) {
+        var params = null,
             config = null,
-            self = this,
-            message = null;
+            object = null;
         
         config = this.config_[name];
         if (!config) {
             this.logger_.warn('Configuration for object ' + name + 
                               ' does not exist');
-            this.cache_[name] = null;
-            return;
+            return null;
         }
-        // TODO: 1. check if config exists
-        //       2. add native type support
-        /*
-        if (config.native) {
-            // TODO: create object of native types
+        
+        params = this.getParams_(name, created);
+        
+        if (config.factory || config.factoryBean) {
+            object = this.produce_(name, params, created);
+        } else if (DottiFactory.natives.hasOwnProperty(config.type)) {
+            object = DottiFactory.natives[config.type](params);
+        } else {
+            object = this.construct_(name, params);
         }
-        */
+        
+        this.inject_(name, object, created);
+        return object;
+    };
+    
+    /**
+     * Evaluate the params in the config of the object with the specified
+     * name, which are keyed by their indices, into the array of the params
+     *
+     * @method getParams_
+     * @param {String} name the name of the object
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
+     * @return {Array} the params
+     */
+    DottiFactory.prototype.getParams_ = function (name, created) {
+        var config = this.config_[name].params || {},
+            params = [],
+            self = this;
+        
+        Object.keys(config).map(function (key) {
+            if (!/^\d+$/.test(key)) {
+                throw new TypeError('Param ' + key + ' of the object ' + name +
+                                    ' is expected to be keyed by its index, ' +
+                                    'such as 0.');
+            }
+            return parseInt(key, 10);
+        }).sort(function (a, b) { // '10' is expected to be after '2'
+            return a - b;
+        }).forEach(function (index) {
+            params[index] = self.evaluate_(config[index], created);
+        });
+        
+        return params;
+    };
+    
+    /**
+     * Create the required object with the constructor specified by the "type"
+     * field of the config, which is the full name of the constructor under
+     * the Condotti instance.
+     *
+     * @method construct_
+     * @param {String} name the name of the object to be created
+     * @param {Array} params the params for the constructor
+     * @return {Object} the created object
+     */
+    DottiFactory.prototype.construct_ = function (name, params) {
+        var config = this.config_[name],
+            type = null,
+            object = null,
+            message = null;
         
         // TODO: check if config.type exists
         try {
@@ -214,33 +682,6 @@ Condotti.add('condotti.di', function (C) {
                                 ' does not exist in current Condotti instance');
         }
         
-        Object.keys(config.params).sort().forEach(function (key) {
-            
-            var index = parseInt(key, 10),
-                param = config.params[key],
-                message = null;
-            
-            // Now only two types of param are supported: value and reference
-            if (!param) {
-                params[index] = undefined;
-            } else if (param.reference) {
-                params[index] = self.cache_[param.reference];
-            } else if (param.value) {
-                params[index] = param.value;
-            } else {
-                // params[index] = undefined;
-                message = 'Unsupported param type. Now only "value"' +
-                          ' and "reference" are supported.';
-                self.logger_.debug(message);
-                self.logger_.debug('Param: ' + C.lang.reflect.inspect(param));
-                throw new TypeError(message);
-            }
-            
-            /* } else if ('Date' === param.type) {
-                params[index] = new Date(Date.parse(param.value));
-            */
-        });
-        
         // Create the object without 'new', since the params for the constructor
         // is in the params array
         if (!C.lang.reflect.isFunction(type)) {
@@ -255,12 +696,276 @@ Condotti.add('condotti.di', function (C) {
             throw new TypeError(message);
         }
         
-        this.cache_[name] = Object.create(type.prototype);
-        type.apply(this.cache_[name], params);
+        object = Object.create(type.prototype);
+        type.apply(object, params);
+        return object;
     };
     
+    /**
+     * Inject the properties specified by the "properties" field of the config
+     * into the created object. Each property is evaluated the same way as the
+     * params, and passed to the setter of the object if there is one, such as
+     * "setLogger" for the property "logger", otherwise it is set as the field
+     * of the object directly.
+     *
+     * @method inject_
+     * @param {String} name the name of the object
+     * @param {Object} object the created object
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
+     */
+    DottiFactory.prototype.inject_ = function (name, object, created) {
+        var properties = this.config_[name].properties || {},
+            self = this;
+        
+        Object.keys(properties).forEach(function (key) {
+            var value = self.evaluate_(properties[key], created),
+                setter = 'set' + key.charAt(0).toUpperCase() + key.substring(1);
+            
+            if (C.lang.reflect.isFunction(object[setter])) {
+                object[setter](value);
+                return;
+            }
+            object[key] = value;
+        });
+    };
+    
+    /**
+     * Create the required object by calling the factory function specified by
+     * the "factory" field of the config, which is the full name of the
+     * function under the Condotti instance, such as 'acme.db.createPool', or
+     * the method specified by the "factoryMethod" field of the object
+     * referred by the "factoryBean" field. The params are passed to the
+     * function, and the value returned is the created object.
+     *
+     * @method produce_
+     * @param {String} name the name of the object to be created
+     * @param {Array} params the params for the factory function
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
+     * @return {Object} the created object
+     */
+    DottiFactory.prototype.produce_ = function (name, params, created) {
+        var config = this.config_[name],
+            tokens = null,
+            last = null,
+            owner = null,
+            fn = null,
+            description = null;
+        
+        if (config.factoryBean) {
+            owner = created[config.factoryBean];
+            fn = owner ? owner[config.factoryMethod] : null;
+            description = 'Factory method ' + config.factoryMethod + 
+                          ' of the object ' + config.factoryBean;
+        } else {
+            tokens = config.factory.split('.');
+            last = tokens.pop();
+            try {
+                owner = C.namespace(tokens.join('.'), false);
+                fn = owner[last];
+            } catch (e) {
+                fn = null;
+            }
+            description = 'Factory ' + config.factory;
+        }
+        
+        if (!C.lang.reflect.isFunction(fn)) {
+            throw new TypeError(description + ' of the required object ' + 
+                                name + ' is expected to be a function, but ' +
+                                C.lang.reflect.getFunctionName(
+                                    C.lang.reflect.getObjectType(fn)
+                                ) + ' is found.');
+        }
+        
+        return fn.apply(owner, params);
+    };
+    
+    /**
+     * Evaluate the param in the config, which is in the form of
+     * { "reference": "objectB" }, { "value": "a string" },
+     * { "type": "Date", "value": "2013-03-26T07:29:32Z" }, where the type is
+     * one of the native types, see `DottiFactory.natives` for details, or
+     * { "options": { "url": { "value": "..." }, "db": { "reference": "db" } } }
+     * for the options object built from the named params.
+     *
+     * @method evaluate_
+     * @param {Object} param the param in the config
+     * @param {Object} created the objects created when getting the required
+     *                         one, keyed by their names
+     * @return {Object} the value of the param
+     */
+    DottiFactory.prototype.evaluate_ = function (param, created) {
+        var message = null,
+            self = this;
+        
+        if (!param) {
+            return undefined;
+        }
+        
+        if ('reference' in param) {
+            return created[param.reference];
+        }
+        
+        if (param.options) {
+            return Object.keys(param.options).reduce(function (options, key) {
+                options[key] = self.evaluate_(param.options[key], created);
+                return options;
+            }, {});
+        }
+        
+        if (param.type) {
+            if (!DottiFactory.natives.hasOwnProperty(param.type)) {
+                message = 'Unsupported native type ' + param.type + 
+                          ' of the param. Now only ' +
+                          Object.keys(DottiFactory.natives).join(', ') + 
+                          ' are supported.';
+                this.logger_.debug(message);
+                throw new TypeError(message);
+            }
+            return DottiFactory.natives[param.type](
+                ('value' in param) ? [param.value] : []
+            );
+        }
+        
+        if ('value' in param) {
+            return param.value;
+        }
+        
+        message = 'Unsupported param type. Now only "value", "reference",' +
+                  ' "options" and the native "type" are supported.';
+        this.logger_.debug(message);
+        this.logger_.debug('Param: ' + C.lang.reflect.inspect(param));
+        throw new TypeError(message);
+    };
+    
+    /**
+     * Return the names of the objects referred by the config of the object
+     * with the specified name, which are required to be created before it
+     *
+     * @method getReferences_
+     * @param {String} name the name of the object
+     * @return {Array} the names of the referred objects
+     */
+    DottiFactory.prototype.getReferences_ = function (name) {
+        var config = this.config_[name],
+            params = config.params,
+            properties = config.properties || {},
+            references = [],
+            collect = null;
+        
+        if (!params) {
+            this.logger_.warn('There is no user-specified params for ' +
+                              'this ' + name + ', default [] is used');
+            params = [];
+        }
+        
+        collect = function (param) {
+            if (!param) {
+                return;
+            }
+            
+            if ('reference' in param) {
+                references.push(param.reference);
+                return;
+            }
+            
+            Object.keys(param.options || {}).forEach(function (key) {
+                collect(param.options[key]);
+            });
+        };
+        
+        Object.keys(params).forEach(function (key) {
+            collect(params[key]);
+        });
+        Object.keys(properties).forEach(function (key) {
+            collect(properties[key]);
+        });
+        
+        if (config.factoryBean) {
+            references.push(config.factoryBean);
+        }
+        
+        return references;
+    };
+    
+    /**
+     * The scopes supported
+     *
+     * @property SCOPES
+     * @type Array
+     * @static
+     */
+    DottiFactory.SCOPES = ['singleton', 'prototype', 'scoped'];
+    
+    /**
+     * Create the native object with the params via 'new'
+     *
+     * @method construct
+     * @param {Function} type the constructor of the native type
+     * @param {Array} params the params for the constructor
+     * @return {Object} the created object
+     */
+    function construct (type, params) {
+        var bound = Function.prototype.bind.apply(type, [null].concat(params));
+        return new bound();
+    }
+    
+    /**
+     * The functions creating the objects of the native types from the params,
+     * keyed by the type names, which can be used as the "type" of the objects
+     * and the params in the config, for example:
+     *
+     * {
+     *     "pattern": { "type": "RegExp", "params": { 0: { "value": "^a" } } },
+     *     "token": {
+     *         "type": "acme.auth.Token",
+     *         "params": {
+     *             0: { "type": "Date", "value": "2013-03-26T07:29:32Z" }
+     *         }
+     *     }
+     * }
+     *
+     * The native types not available in the current environment, such as
+     * Buffer in the browser, are not included. More types can be supported by
+     * adding the functions here.
+     *
+     * @property natives
+     * @type Object
+     * @static
+     */
+    DottiFactory.natives = {
+        Date: function (params) {
+            return construct(Date, params);
+        },
+        RegExp: function (params) {
+            return construct(RegExp, params);
+        },
+        Array: function (params) {
+            return params.slice(); // the params are the elements
+        }
+    };
+    
+    if ('function' === typeof Map) {
+        DottiFactory.natives.Map = function (params) {
+            return construct(Map, params);
+        };
+    }
+    
+    if ('function' === typeof Set) {
+        DottiFactory.natives.Set = function (params) {
+            return construct(Set, params);
+        };
+    }
+    
+    if ('function' === typeof Buffer) {
+        DottiFactory.natives.Buffer = function (params) {
+            return Buffer.from.apply(Buffer, params);
+        };
+    }
     
     C.namespace('di').DottiFactory = DottiFactory;
     
 }, '0.0.1', { requires: ['condotti.lang', 'condotti.reflect',
-                         'condotti.logging', 'condotti.algorithm'] });
+                         'condotti.errors', 'condotti.logging',
+                         'condotti.async', 'condotti.algorithm'] });
@@ -88,6 +88,69 @@ Condotti.add('condotti.errors', function (C) {
     C.lang.inherit(ModuleAttachError, NestedError);
     E.ModuleAttachError = ModuleAttachError;
     
+    /**
+     * This kind of errors will be thrown when something goes wrong during
+     * detaching module from the Condotti instance.
+     *
+     * @class ModuleDetachError
+     * @extends NestedError
+     * @constructor
+     * @param {Object} module the module to be detached
+     * @param {Error} error the error caught during detaching module 
+     */
+    function ModuleDetachError (module, error) {
+        var message = 'Detaching module ' + module.name + ' failed.';
+        
+        this.super(message, error);
+        // Keep the same behaviour with Error
+        this.name = 'ModuleDetachError';
+        this.module = module;
+    };
+    C.lang.inherit(ModuleDetachError, NestedError);
+    E.ModuleDetachError = ModuleDetachError;
+    
+    /**
+     * This kind of errors will be thrown when something goes wrong during
+     * creating the required object by the dotti factory.
+     *
+     * @class ObjectCreateError
+     * @extends NestedError
+     * @constructor
+     * @param {String} name the name of the object failed to be created
+     * @param {Error} error the error caught during creating the object
+     */
+    function ObjectCreateError (name, error) {
+        var message = 'Creating object ' + name + ' failed.';
+        
+        this.super(message, error);
+        // Keep the same behaviour with Error
+        this.name = 'ObjectCreateError';
+        this.object = name;
+    };
+    C.lang.inherit(ObjectCreateError, NestedError);
+    E.ObjectCreateError = ObjectCreateError;
+    
+    /**
+     * This kind of errors will be thrown when something goes wrong during
+     * destroying the object created by the dotti factory.
+     *
+     * @class ObjectDestroyError
+     * @extends NestedError
+     * @constructor
+     * @param {String} name the name of the object failed to be destroyed
+     * @param {Error} error the error caught during destroying the object
+     */
+    function ObjectDestroyError (name, error) {
+        var message = 'Destroying object ' + name + ' failed.';
+        
+        this.super(message, error);
+        // Keep the same behaviour with Error
+        this.name = 'ObjectDestroyError';
+        this.object = name;
+    };
+    C.lang.inherit(ObjectDestroyError, NestedError);
+    E.ObjectDestroyError = ObjectDestroyError;
+    
     /**
      * Errors to be thrown when circular dependency is found during attaching
      * modules to Condotti instance.
@@ -95,13 +158,19 @@ Condotti.add('condotti.errors', function (C) {
      * @class CircularDependencyError
      * @extends Error
      * @constructor
+     * @param {String} module the module being calculated
+     * @param {String} dependency the module depended on circularly
+     * @param {Array} cycle the modules on the cycle, which starts and ends
+     *                      with the dependency, such as ['a', 'b', 'c', 'a']
      */
-    function CircularDependencyError (module, dependency) {
+    function CircularDependencyError (module, dependency, cycle) {
         this.super();
         // Keep the same behaviour with Error
         this.name = 'CircularDependencyError';
         this.module = module;
         this.dependency = dependency;
+        this.cycle = cycle || [dependency, dependency];
+        this.message = this.toString();
     };
     C.lang.inherit(CircularDependencyError, Error);
     
@@ -112,7 +181,7 @@ Condotti.add('condotti.errors', function (C) {
      * @return {String} the description of the error
      */
     CircularDependencyError.prototype.toString = function () {
-        return 'Circular dependency on module ' + this.dependency + 
+        return 'Circular dependency ' + this.cycle.join(' -> ') + 
                ' has been detected when calculating for module ' +
                this.module;
     };
@@ -133,6 +202,7 @@ Condotti.add('condotti.errors', function (C) {
         // Keep the same behaviour with Error
         this.name = 'ModuleNotLoadedError';
         this.module = module;
+        this.message = this.toString();
     };
     C.lang.inherit(ModuleNotLoadedError, Error);
     
@@ -147,25 +217,109 @@ Condotti.add('condotti.errors', function (C) {
     };
     E.ModuleNotLoadedError = ModuleNotLoadedError;
     
+    /**
+     * Errors to be thrown when the file loaded for a module does not register
+     * the module with the requested name.
+     *
+     * @class ModuleNameMismatchError
+     * @extends Error
+     * @constructor
+     * @param {String} module the name of the requested module
+     * @param {Array} names the names of the modules registered by the file
+     * @param {String} url the url of the file
+     */
+    function ModuleNameMismatchError (module, names, url) {
+        this.super();
+        this.name = 'ModuleNameMismatchError';
+        this.module = module;
+        this.names = names || [];
+        this.url = url;
+        this.message = this.toString();
+    }
+    C.lang.inherit(ModuleNameMismatchError, Error);
+    
+    /**
+     * Customized `toString` method.
+     *
+     * @method toString
+     * @return {String} the description of the error
+     */
+    ModuleNameMismatchError.prototype.toString = function () {
+        return 'Module ' + this.module + ' is requested, but file ' + this.url +
+               ' registers ' + (this.names.length ? this.names.join(', ') :
+               'no module') + '.';
+    };
+    E.ModuleNameMismatchError = ModuleNameMismatchError;
+    
+    /**
+     * Errors to be thrown when none of the loaded versions of a module can
+     * satisfy all the version ranges required on it.
+     *
+     * @class VersionConflictError
+     * @extends Error
+     * @constructor
+     * @param {String} module the name of the module in conflict
+     * @param {Array} requirements the requirements on the module, each of
+     *                             which is in the form of
+     *                             { range: '~1.0',
+     *                               chain: ['a@0.1.0', 'b@~1.0'] },
+     *                             where the chain is the list of the selected
+     *                             modules leading to this requirement
+     * @param {Array} versions the versions of the module available
+     */
+    function VersionConflictError (module, requirements, versions) {
+        this.super();
+        // Keep the same behaviour with Error
+        this.name = 'VersionConflictError';
+        this.module = module;
+        this.requirements = requirements;
+        this.versions = versions;
+        this.message = this.toString();
+    };
+    C.lang.inherit(VersionConflictError, Error);
+    
+    /**
+     * Customized `toString` method.
+     *
+     * @method toString
+     * @return {String} the description of the error
+     */
+    VersionConflictError.prototype.toString = function () {
+        return 'None of the versions [' + this.versions.join(', ') +
+               '] of module ' + this.module + ' satisfies all the ' +
+               'requirements: ' + this.requirements.map(function (item) {
+                   return item.chain.join(' -> ');
+               }).join('; ');
+    };
+    E.VersionConflictError = VersionConflictError;
+    
     /**
      * Errors to be thrown when duplicated modules are found.
      *
      * @class DuplicatedModuleError
      * @extends Error
      * @constructor
-     * @param {String} module the duplicated module detected
+     * @param {Object} module the entry of the duplicated module detected, in
+     *                        the form of { name: 'app.db', version: '0.0.1' }
      */
     function DuplicatedModuleError (module) {
         this.super();
         // Keep the same behaviour with Error
         this.name = 'DuplicatedModuleError';
         this.module = module;
+        this.message = this.toString();
     };
     C.lang.inherit(DuplicatedModuleError, Error);
     
+    /**
+     * Customized `toString` method.
+     *
+     * @method toString
+     * @return {String} the description of the error
+     */
     DuplicatedModuleError.prototype.toString = function () {
-        return 'Duplication of the module ' + this.module.name + 
-               ' has been detected.';
+        return 'Duplication of the module ' + this.module.name + '@' + 
+               (this.module.version || '0.0.0') + ' has been detected.';
     };
     E.DuplicatedModuleError = DuplicatedModuleError;
     if (!C.constructor.DuplicatedModuleError) { // add DuplicatedModuleError
@@ -187,10 +341,17 @@ Condotti.add('condotti.errors', function (C) {
         // Keep the same behaviour with Error
         this.name = 'ModuleNotFoundError';
         this.module = module;
-        this.paths = paths;
+        this.paths = paths || [];
+        this.message = this.toString();
     };
     C.lang.inherit(ModuleNotFoundError, Error);
     
+    /**
+     * Customized `toString` method.
+     *
+     * @method toString
+     * @return {String} the description of the error
+     */
     ModuleNotFoundError.prototype.toString = function () {
         return 'Required module ' + this.module + ' can not be found under ' +
                'the paths: ' + this.paths.toString();
@@ -217,6 +378,24 @@ Condotti.add('condotti.errors', function (C) {
     C.lang.inherit(ModuleRequireError, NestedError);
     E.ModuleRequireError = ModuleRequireError;
     
+    /**
+     * Errors thrown when the loader fails to fetch or execute the module, such
+     * as the network failures, or the errors thrown by the module source.
+     *
+     * @class ModuleRequireFailedError
+     * @extends ModuleRequireError
+     * @constructor
+     * @param {String} module the name of the module being required
+     * @param {Error} error the error caught during requiring
+     */
+    function ModuleRequireFailedError (module, error) {
+        this.super(module, error);
+        // Keep the same behaviour with Error
+        this.name = 'ModuleRequireFailedError';
+    };
+    C.lang.inherit(ModuleRequireFailedError, ModuleRequireError);
+    E.ModuleRequireFailedError = ModuleRequireFailedError;
+    
     /**
      * Errors thrown when the required functionality has not been implemented.
      * Normally this scenario happens when a placeholder method/class has not 
@@ -25,6 +25,16 @@ Condotti.add('condotti.lang', function (C) {
          */
         this.console = console;
         
+        /**
+         * The Promise implementation, which is the global Promise if it is
+         * supported, otherwise null. It can be replaced with any other
+         * implementation following the same interface.
+         *
+         * @property Promise
+         * @type Function
+         */
+        this.Promise = ('function' === typeof Promise) ? Promise : null;
+        
     }
     
     /**
@@ -0,0 +1,504 @@
+/**
+ * This module contains the factory creating the module loaders from the config,
+ * the CompositeLoader, which chains several loaders, so that different
+ * resolution strategies can be combined without changing the Condotti
+ * constructor, and the MemoryLoader, which loads modules from the memory.
+ *
+ * @module condotti.loaders
+ */
+Condotti.add('condotti.loaders', function (C, config) {
+    
+    /**
+     * The loaders namespace is expected to contain all the loader classes, and
+     * the utilities to create them.
+     *
+     * @namespace loaders
+     */
+    var L = C.namespace('loaders'),
+        types = {};
+    
+    /**
+     * Register a loader class with the specified name, so that it can be
+     * referred by the "type" field of the loader config. The class can be
+     * specified by the constructor itself, or its full name under the Condotti
+     * instance, such as 'acme.loaders.RemoteLoader', which is looked up when
+     * the loader is created. The loader classes can also be registered via
+     * the "types" field of the config for this module.
+     *
+     * @method register
+     * @param {String} name the name of the loader class
+     * @param {Function|String} type the constructor of the loader class, or
+     *                               its full name
+     */
+    L.register = function (name, type) {
+        types[name] = type;
+    };
+    
+    /**
+     * Create a loader from the config. The class of the loader is specified by
+     * the "type" field, which can be a registered name, the name of a class in
+     * the loaders namespace, such as 'CompositeLoader', or the full name of
+     * the class. The default one is 'Loader', which is the built-in loader for
+     * the current environment.
+     *
+     * @method create
+     * @param {Object} config the config of the loader
+     * @return {Object} the created loader
+     */
+    L.create = function (config) {
+        var name = null,
+            type = null;
+        
+        config = config || {};
+        name = config.type || 'Loader';
+        type = types.hasOwnProperty(name) ? types[name] :
+               (L.hasOwnProperty(name) ? L[name] : name);
+        
+        if ('string' === typeof type) {
+            try {
+                type = C.namespace(type, false);
+            } catch (e) {
+                type = null;
+            }
+        }
+        
+        if (!C.lang.reflect.isFunction(type)) {
+            throw new C.errors.InvalidArgumentError('Loader type ' + name +
+                                                   ' can not be found.');
+        }
+        
+        return new type(config);
+    };
+    
+    /**
+     * Assign the name to the modules added without names by the file just
+     * executed, then ensure the module with the name has been registered in
+     * the registry of this instance.
+     *
+     * @method claim
+     * @param {String} name the name of the requested module
+     * @param {String} url the url of the file executed
+     * @param {Array} before the names of the modules registered before the
+     *                       file is executed, which are used to report the
+     *                       names registered by the file when they mismatch
+     */
+    L.claim = function (name, url, before) {
+        C.register_(function () {
+            C.constructor.assign(name);
+        });
+        if (name in C.loaded_) {
+            return;
+        }
+        
+        throw new C.errors.ModuleNameMismatchError(
+            name,
+            Object.keys(C.loaded_).filter(function (registered) {
+                return before.indexOf(registered) < 0;
+            }),
+            url
+        );
+    };
+    
+    /**
+     * Return the module entries registered in the registry of this instance
+     * in the form of 'name@version', such as 'app.db@0.0.1'. Only the own
+     * entries are returned if the registry is a private one.
+     *
+     * @method entries
+     * @return {Array} the module entries registered
+     */
+    L.entries = function () {
+        var result = [];
+        
+        Object.keys(C.loaded_).forEach(function (name) {
+            Object.keys(C.loaded_[name]).forEach(function (version) {
+                result.push(name + '@' + version);
+            });
+        });
+        
+        return result;
+    };
+    
+    /**
+     * Execute the file of the module via the specified function, with the
+     * modules added into the registry of this instance, then assign the
+     * requested name to the modules added without names by it, and ensure
+     * the module with the name has been registered.
+     *
+     * @method execute
+     * @param {String} name the name of the requested module
+     * @param {String} url the url of the file to be executed
+     * @param {Function} fn the function executing the file
+     * @return {Array} the module entries registered by the file in the form
+     *                 of 'name@version', see entries for details
+     */
+    L.execute = function (name, url, fn) {
+        var Condotti = C.constructor,
+            before = Object.keys(C.loaded_),
+            existing = L.entries();
+        
+        Condotti.anonymous_ = [];
+        try {
+            C.register_(fn);
+        } catch (e) {
+            Condotti.anonymous_ = [];
+            throw e;
+        }
+        
+        L.claim(name, url, before);
+        return L.entries().filter(function (entry) {
+            return existing.indexOf(entry) < 0;
+        });
+    };
+    
+    /**
+     * This CompositeLoader class is designed to load modules via a sequence of
+     * loaders, which are tried one by one for each module until one of them
+     * loads it. A loader can decline a module by returning false from its
+     * optional "accepts" method, or by failing with ModuleNotFoundError, then
+     * the next loader is tried. The config is in the form of:
+     *
+     * {
+     *     "type": "CompositeLoader",
+     *     "loaders": [
+     *         { "type": "MemoryLoader", ... },
+     *         { "type": "Loader", "baseUrl": "lib" }
+     *     ]
+     * }
+     *
+     * @class CompositeLoader
+     * @constructor
+     * @param {Object} config the config object for this composite loader
+     */
+    function CompositeLoader (config) {
+        /**
+         * The config object for this loader instance
+         *
+         * @property config_
+         * @type Object
+         * @default {}
+         */
+        this.config_ = config || {};
+        
+        /**
+         * The loaders to be tried in order
+         *
+         * @property loaders_
+         * @type Array
+         * @default []
+         */
+        this.loaders_ = [];
+        
+        /**
+         * The logger instance
+         *
+         * @property logger_
+         * @type Logger
+         */
+        this.logger_ = C.logging.getObjectLogger(this);
+        
+        /* initialize */
+        this.initialize_();
+    }
+    
+    /**
+     * Initialize this loader by creating the chained loaders
+     *
+     * @method initialize_
+     */
+    CompositeLoader.prototype.initialize_ = function () {
+        this.loaders_ = (this.config_.loaders || []).map(function (config) {
+            return L.create(config);
+        });
+    };
+    
+    /**
+     * Re-configure this loader with the specified config object. Note that the
+     * chained loaders are destroyed and created again from the merged config.
+     *
+     * @method configure
+     * @param {Object} config the config object for this loader
+     */
+    CompositeLoader.prototype.configure = function (config) {
+        C.lang.merge(this.config_, config || {});
+        this.destroy();
+        this.initialize_();
+    };
+    
+    /**
+     * Load the required modules one by one, each via the first chained loader
+     * that does not decline it.
+     *
+     * @method require
+     * @param {Array} names the names of the modules required to be loaded
+     * @param {Function} callback the callback function to be invoked after the
+     *                            modules have been successfully loaded, or some
+     *                            error occurs. The signature of the callback is
+     *                            'function (error) {}'
+     */
+    CompositeLoader.prototype.require = function (names, callback) {
+        var self = this;
+        
+        C.async.forEach(names, function (name, next) {
+            var paths = [];
+            
+            C.async.detectSeries(self.loaders_, function (loader, found) {
+                if (C.lang.reflect.isFunction(loader.accepts) &&
+                    !loader.accepts(name)) {
+                    found(false);
+                    return;
+                }
+                
+                loader.require([name], function (error) {
+                    if (error instanceof C.errors.ModuleNotFoundError) {
+                        paths = paths.concat(error.paths || []);
+                        found(false);
+                        return;
+                    }
+                    
+                    if (error) {
+                        next(error);
+                        return;
+                    }
+                    
+                    found(true);
+                });
+            }, function (loader) {
+                if (!loader) {
+                    self.logger_.debug('Module ' + name + ' is declined by ' +
+                                       'all the chained loaders.');
+                    next(new C.errors.ModuleNotFoundError(name, paths));
+                    return;
+                }
+                
+                self.logger_.debug('Module ' + name + ' is loaded by ' +
+                                   C.lang.reflect.getFunctionName(
+                                       C.lang.reflect.getObjectType(loader)
+                                   ));
+                next();
+            });
+        }, callback);
+    };
+    
+    /**
+     * Destroy the chained loaders that support it
+     *
+     * @method destroy
+     */
+    CompositeLoader.prototype.destroy = function () {
+        this.loaders_.forEach(function (loader) {
+            if (C.lang.reflect.isFunction(loader.destroy)) {
+                loader.destroy();
+            }
+        });
+    };
+    
+    L.CompositeLoader = CompositeLoader;
+    
+    /**
+     * This MemoryLoader class is designed to load modules from a map in the
+     * memory instead of the files, which is useful for the unit tests and the
+     * embedded bundles. Each entry of the map can be the source of the module,
+     * which is executed with the Condotti global, or the factory function of
+     * the module, or an object in the form of
+     * { fn: function (C) {...}, version: '0.0.1', meta: {...} }, which is
+     * added as the module directly. The sources of the modules to be loaded
+     * via the loader plugins, such as 'json!config.defaults', are transformed
+     * by the plugins. The config is in the form of:
+     *
+     * {
+     *     "type": "MemoryLoader",
+     *     "modules": { "a": "Condotti.add('a', ...);", "b": function (C) {} }
+     * }
+     *
+     * The modules not in the map are declined, so that this loader can be
+     * chained before the other ones with the CompositeLoader.
+     *
+     * @class MemoryLoader
+     * @constructor
+     * @param {Object} config the config object for this memory loader
+     */
+    function MemoryLoader (config) {
+        var self = this;
+        
+        /**
+         * The config object for this loader instance
+         *
+         * @property config_
+         * @type Object
+         * @default {}
+         */
+        this.config_ = config || {};
+        
+        /**
+         * The module entries keyed by the module names
+         *
+         * @property modules_
+         * @type Object
+         * @default {}
+         */
+        this.modules_ = {};
+        
+        /**
+         * The logger instance
+         *
+         * @property logger_
+         * @type Logger
+         */
+        this.logger_ = C.logging.getObjectLogger(this);
+        
+        Object.keys(this.config_.modules || {}).forEach(function (name) {
+            self.add(name, self.config_.modules[name]);
+        });
+    }
+    
+    /**
+     * Re-configure this loader with the specified config object. The modules
+     * in the config are added into the map.
+     *
+     * @method configure
+     * @param {Object} config the config object for this loader
+     */
+    MemoryLoader.prototype.configure = function (config) {
+        var self = this,
+            modules = (config && config.modules) || {};
+        
+        C.lang.merge(this.config_, config || {});
+        Object.keys(modules).forEach(function (name) {
+            self.add(name, modules[name]);
+        });
+    };
+    
+    /**
+     * Add a module entry into the map, the one added before with the same name
+     * is replaced. Note that the modules already loaded are not affected.
+     *
+     * @method add
+     * @param {String} name the name of the module
+     * @param {String|Function|Object} module the source, the factory function
+     *                                        or the definition of the module
+     * @return {MemoryLoader} this loader
+     */
+    MemoryLoader.prototype.add = function (name, module) {
+        if ('string' !== typeof module &&
+            !C.lang.reflect.isFunction(module) &&
+            !(module && C.lang.reflect.isFunction(module.fn))) {
+            throw new C.errors.InvalidArgumentError('Module ' + name +
+                                                   ' is expected to be the ' +
+                                                   'source, the factory ' +
+                                                   'function or an object ' +
+                                                   'with the "fn" field.');
+        }
+        
+        this.modules_[name] = module;
+        return this;
+    };
+    
+    /**
+     * Remove the module entry with the specified name from the map
+     *
+     * @method remove
+     * @param {String} name the name of the module to be removed
+     * @return {String|Function|Object} the removed entry, or undefined if it
+     *                                  does not exist
+     */
+    MemoryLoader.prototype.remove = function (name) {
+        var module = this.modules_[name];
+        delete this.modules_[name];
+        return module;
+    };
+    
+    /**
+     * Return whether the module with the specified name is in the map
+     *
+     * @method accepts
+     * @param {String} name the name of the module
+     * @return {Boolean} true if the module is in the map, otherwise false
+     */
+    MemoryLoader.prototype.accepts = function (name) {
+        return this.modules_.hasOwnProperty(name);
+    };
+    
+    /**
+     * Load the required modules from the map
+     *
+     * @method require
+     * @param {Array} names the names of the modules required to be loaded
+     * @param {Function} callback the callback function to be invoked after the
+     *                            modules have been successfully loaded, or some
+     *                            error occurs. The signature of the callback is
+     *                            'function (error) {}'
+     */
+    MemoryLoader.prototype.require = function (names, callback) {
+        var self = this;
+        
+        C.async.forEach(names, function (name, next) {
+            if (!self.accepts(name)) {
+                next(new C.errors.ModuleNotFoundError(name,
+                                                      ['memory:' + name]));
+                return;
+            }
+            
+            try {
+                self.execute_(name, self.modules_[name]);
+            } catch (e) {
+                self.logger_.debug('Executing module ' + name + ' from ' +
+                                   'memory failed. Error: ' +
+                                   C.lang.reflect.inspect(e));
+                next(new C.errors.ModuleRequireFailedError(name, e));
+                return;
+            }
+            
+            next();
+        }, callback);
+    };
+    
+    /**
+     * Execute the module entry
+     *
+     * @method execute_
+     * @param {String} name the name of the module to be executed
+     * @param {String|Function|Object} module the entry of the module
+     */
+    MemoryLoader.prototype.execute_ = function (name, module) {
+        var url = 'memory:' + name;
+        
+        if (C.lang.reflect.isFunction(module)) {
+            C.register_(function () {
+                C.constructor.add(name, module);
+            });
+            return;
+        }
+        
+        if ('string' !== typeof module) {
+            C.register_(function () {
+                C.constructor.add(name, module.fn, module.version, module.meta);
+            });
+            return;
+        }
+        
+        // the extension of the url is not checked since the module names
+        // contain dots
+        if (C.loaders.plugins.find(name)) {
+            C.loaders.plugins.define(name, module, url);
+            return;
+        }
+        
+        L.execute(name, url, function () {
+            (new Function('Condotti', module + '\n//# sourceURL=' + url))(
+                C.constructor
+            );
+        });
+    };
+    
+    L.MemoryLoader = MemoryLoader;
+    
+    if (config && config.types) {
+        Object.keys(config.types).forEach(function (name) {
+            L.register(name, config.types[name]);
+        });
+    }
+    
+}, '0.0.1', { requires: ['condotti.lang', 'condotti.reflect',
+                         'condotti.errors', 'condotti.logging',
+                         'condotti.async', 'condotti.plugins'] });
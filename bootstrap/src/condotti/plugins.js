@@ -0,0 +1,204 @@
+/**
+ * This module contains the registry of the loader plugins, which turn the
+ * contents of non-javascript files, such as JSON data and HTML templates, into
+ * Condotti modules, and also the implementations of the built-in plugins.
+ *
+ * @module condotti.plugins
+ */
+Condotti.add('condotti.plugins', function (C) {
+    
+    /**
+     * This PluginRegistry class is designed to keep track of the loader
+     * plugins by their prefixes. A module is loaded via a plugin only if its
+     * name starts with the prefix of the plugin followed by a '!', such as
+     * 'json!config.defaults', in which case the file is searched with the
+     * extensions of the plugin. A plugin is an object in the form of:
+     *
+     * {
+     *     extensions: ['.json'],
+     *     transform: function (content, name, url) { return value; }
+     * }
+     *
+     * The value returned by "transform" is attached onto the Condotti instance
+     * under the namespace of the module name without the prefix, for example,
+     * C.config.defaults for module 'json!config.defaults'. Note that the value
+     * is shared by all the Condotti instances attaching the module.
+     *
+     * @class PluginRegistry
+     * @constructor
+     */
+    function PluginRegistry () {
+        /**
+         * The registered plugins keyed by their prefixes
+         *
+         * @property plugins_
+         * @type Object
+         * @default {}
+         */
+        this.plugins_ = {};
+        
+        /**
+         * The logger instance
+         *
+         * @property logger_
+         * @type Logger
+         */
+        this.logger_ = C.logging.getObjectLogger(this);
+    }
+    
+    /**
+     * Register a plugin with the specified prefix, the one registered before
+     * with the same prefix is replaced.
+     *
+     * @method register
+     * @param {String} prefix the prefix of the plugin, such as 'json'
+     * @param {Object} plugin the plugin to be registered
+     * @return {PluginRegistry} this registry
+     */
+    PluginRegistry.prototype.register = function (prefix, plugin) {
+        if (!plugin || !C.lang.reflect.isFunction(plugin.transform)) {
+            throw new C.errors.InvalidArgumentError('Plugin ' + prefix +
+                                                   ' is expected to have a ' +
+                                                   'transform method.');
+        }
+        
+        this.logger_.debug('Registering loader plugin ' + prefix +
+                           ' for extensions ' +
+                           C.lang.reflect.inspect(plugin.extensions) + ' ...');
+        plugin.extensions = plugin.extensions || [];
+        this.plugins_[prefix] = plugin;
+        return this;
+    };
+    
+    /**
+     * Unregister the plugin with the specified prefix
+     *
+     * @method unregister
+     * @param {String} prefix the prefix of the plugin to be unregistered
+     * @return {Object} the unregistered plugin, or undefined if it does not
+     *                  exist
+     */
+    PluginRegistry.prototype.unregister = function (prefix) {
+        var plugin = this.plugins_[prefix];
+        delete this.plugins_[prefix];
+        return plugin;
+    };
+    
+    /**
+     * Find the plugin the module is to be loaded with by the prefix of its
+     * name.
+     *
+     * @method find
+     * @param {String} name the name of the module
+     * @return {Object} the result in the form of
+     *                  { prefix: 'json', path: 'config.defaults', plugin: ... },
+     *                  or null if the name has no registered prefix
+     */
+    PluginRegistry.prototype.find = function (name) {
+        var index = name.indexOf('!'),
+            prefix = null;
+        
+        if (index < 0) {
+            return null;
+        }
+        
+        prefix = name.substring(0, index);
+        if (!this.plugins_.hasOwnProperty(prefix)) {
+            return null;
+        }
+        
+        return {
+            prefix: prefix,
+            path: name.substring(index + 1),
+            plugin: this.plugins_[prefix]
+        };
+    };
+    
+    /**
+     * Transform the content of the file with the plugin, and add the module
+     * attaching the transformed value into the registry of this instance,
+     * see `Condotti.prototype.register_` for details. The plugin is
+     * found by the prefix of the module name.
+     *
+     * @method define
+     * @param {String} name the name of the module
+     * @param {String} content the content of the module file
+     * @param {String} url the url of the module file
+     * @return {Boolean} true if the module is defined by a plugin, false if
+     *                   no plugin is found for the module
+     */
+    PluginRegistry.prototype.define = function (name, content, url) {
+        var found = this.find(name),
+            namespace = null,
+            value = null;
+        
+        if (!found) {
+            return false;
+        }
+        
+        namespace = found.path;
+        this.logger_.debug('Transforming module ' + name + ' from ' + url +
+                           ' with loader plugin ' + found.prefix + ' ...');
+        try {
+            value = found.plugin.transform(String(content), namespace, url);
+        } catch (e) {
+            this.logger_.debug('Transforming module ' + name + ' failed. ' +
+                               'Error: ' + C.lang.reflect.inspect(e));
+            throw new C.errors.ModuleRequireError(name, e);
+        }
+        
+        C.register_(function () {
+            C.constructor.add(name, function (C) {
+                var tokens = namespace.split('.'),
+                    last = tokens.pop();
+                
+                C.namespace(tokens.join('.'))[last] = value;
+            }, undefined, { namespace: namespace });
+        });
+        
+        return true;
+    };
+    
+    C.namespace('loaders').plugins = new PluginRegistry();
+    
+    // the plugin parsing the JSON files
+    C.loaders.plugins.register('json', {
+        extensions: ['.json'],
+        transform: function (content) {
+            return JSON.parse(content);
+        }
+    });
+    
+    // the plugin loading the files as plain text
+    C.loaders.plugins.register('text', {
+        extensions: ['.txt', '.html'],
+        transform: function (content) {
+            return content;
+        }
+    });
+    
+    // the plugin compiling the templates into functions, which replace the
+    // placeholders like "{{ user.name }}" with the values from the data
+    C.loaders.plugins.register('tpl', {
+        extensions: ['.tpl'],
+        transform: function (content) {
+            return function (data) {
+                return content.replace(
+                    /\{\{\s*([\w$.]+)\s*\}\}/g,
+                    function (match, path) {
+                        var value = path.split('.').reduce(function (o, key) {
+                            return (undefined === o || null === o) ?
+                                   undefined : o[key];
+                        }, data);
+                        
+                        return (undefined === value || null === value) ?
+                               '' : String(value);
+                    }
+                );
+            };
+        }
+    });
+    
+}, '0.0.1', { requires: ['condotti.lang', 'condotti.reflect',
+                         'condotti.errors', 'condotti.logging'],
+              namespace: 'loaders.plugins' });
@@ -199,4 +199,4 @@ Condotti.add('condotti.reflect', function (C) {
     
     C.lang.reflect = new Reflect();
 
-}, '0.0.1', { requires: ['condotti.lang'] });
+}, '0.0.1', { requires: ['condotti.lang'], namespace: 'lang.reflect' });
@@ -31,6 +31,16 @@ Condotti.add('condotti.server.core', function (C) {
      */
     C.process = process;
     
+    /**
+     * The environment Condotti is running in, which can be checked by the
+     * "when" conditions in the module meta
+     *
+     * @property env
+     * @type String
+     * @default 'server'
+     */
+    C.env = 'server';
+    
     /**
      * The node.js version of C.lang.nextTick method
      *
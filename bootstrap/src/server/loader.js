@@ -48,8 +48,12 @@ Condotti.add('condotti.server.loader', function (C) {
          * a HTTP url indicating that the required modules can be fetched on the 
          * remote HTTP server.
          *
+         * An ordered list of root paths can also be specified, for example,
+         * ['app', 'lib/shared', 'vendor'], and the roots are searched one by
+         * one until the required module is found.
+         *
          * @property baseUrl_
-         * @type String
+         * @type String|Array
          * @default './'
          */
         this.baseUrl_ = this.config_.baseUrl || './'; // This module is expected
@@ -70,7 +74,9 @@ Condotti.add('condotti.server.loader', function (C) {
          * '.js' extension. This loader will take care of this case and
          * automatically add the extension when necessary. Note that when path
          * mappings are provided, modules are looked up under the mapped path
-         * regardless of whether they could be found under the baseUrl.
+         * first, and the roots of the baseUrl are searched only if they can not
+         * be found there. A mapping can also be an ordered list of paths to be
+         * searched one by one.
          *
          * @property paths_
          * @type Object
@@ -78,6 +84,66 @@ Condotti.add('condotti.server.loader', function (C) {
          */
         this.paths_ = this.config_.paths || {};
         
+        /**
+         * The absolute root paths to search the modules under, which are
+         * resolved from the baseUrl
+         *
+         * @property roots_
+         * @type Array
+         * @default []
+         */
+        this.roots_ = [];
+        
+        /**
+         * The mappings from the module name prefixes to the names of the npm
+         * packages where the modules are loaded from, for example,
+         * { 'acme.widgets': 'acme-widgets' } makes the module 
+         * 'acme.widgets.grid' to be loaded from the module 'grid' in the
+         * package 'acme-widgets'. See match_ and locate_ for details.
+         *
+         * @property packages_
+         * @type Object
+         * @default {}
+         */
+        this.packages_ = this.config_.packages || {};
+        
+        /**
+         * The cache of the located npm packages, which maps the package names
+         * to the directories where their modules locate
+         *
+         * @property located_
+         * @type Object
+         * @default {}
+         */
+        this.located_ = {};
+        
+        /**
+         * Whether the modules are executed in isolated mode, which means each
+         * module is executed in its own context created via 
+         * "vm.createContext", can only require the modules in the allow-list,
+         * and can not change the shared Condotti global. The Condotti instance
+         * the module is attached to is passed in through a view, whose
+         * "require" and "natives" are limited to the allow-list as well. Note
+         * that the isolation only prevents the modules from changing the
+         * environment by accident, and the vm context is NOT a security
+         * boundary, so the untrusted code must not be loaded this way.
+         *
+         * @property isolated_
+         * @type Boolean
+         * @default false
+         */
+        this.isolated_ = !!this.config_.isolated;
+        
+        /**
+         * The names of the node.js modules that can be required by the 
+         * modules executed in isolated mode, such as ['path', 'util']
+         *
+         * @property allowed_
+         * @type Array
+         * @default []
+         */
+        this.allowed_ = this.config_.allowed || [];
+        
         /**
          * The searching tree based on the path mapping
          * 
@@ -87,6 +153,31 @@ Condotti.add('condotti.server.loader', function (C) {
          */
         this.tree_ = {};
 
+        /**
+         * Whether the loaded module files are watched and reloaded when they
+         * are changed, which is designed for development only, since every
+         * live Condotti instance with a watching loader re-attaches the
+         * reloaded module and its dependents. The other instances pick up the
+         * reloaded module the next time it is attached.
+         *
+         * @property watching_
+         * @type Boolean
+         * @default false
+         */
+        this.watching_ = !!this.config_.watch;
+        
+        /**
+         * The module files being watched, which maps the file paths to the
+         * modules they register in the form of
+         * { name: 'app.db', modules: ['app.db@0.0.1', 'app.db.pool@0.0.1'] },
+         * where the name is the one the file is loaded for
+         *
+         * @property watched_
+         * @type Object
+         * @default {}
+         */
+        this.watched_ = {};
+        
         /**
          * The logger instance
          *
@@ -97,6 +188,7 @@ Condotti.add('condotti.server.loader', function (C) {
 
         /* initialize */
         this.initialize_();
+        this.track_();
     }
 
 
@@ -107,45 +199,51 @@ Condotti.add('condotti.server.loader', function (C) {
      */
     Loader.prototype.initialize_ = function () {
         var name = null,
-            path = null;
+            paths = null,
+            self = this;
         
-        if (this.baseUrl_.charAt(this.baseUrl_.length - 1) !== '/') {
-            this.baseUrl_ += '/';
-        }
-
-        this.baseUrl_ = C.natives.path.resolve(C.natives.path.normalize(
-            this.baseUrl_
-        ));
+        this.roots_ = (Array.isArray(this.baseUrl_) ? 
+                       this.baseUrl_ : [this.baseUrl_]).map(function (root) {
+            return C.natives.path.resolve(root);
+        });
         
         /* build the fxxk tree for searching */
         for (name in this.paths_) {
             
-            path = this.paths_[name];
-            if (path.charAt(0) !== '/') { // relative
-                path = C.natives.path.resolve(this.baseUrl_, path);
-            } else {
-                path = C.natives.path.resolve(path);
-            }
-            
-            C.namespace.call(this.tree_, name).__path__ = path;
+            paths = this.paths_[name];
+            paths = Array.isArray(paths) ? paths : [paths];
+            // relative paths are resolved against the first root
+            C.namespace.call(this.tree_, name).__paths__ = paths.map(
+                function (path) {
+                    return C.natives.path.resolve(self.roots_[0], path);
+                }
+            );
         }
     };
 
     /**
-     * Normalize the module name to full path to load
+     * Normalize the module name to the candidate full paths to load, in the
+     * order they are to be tried. For each of the directories the module may
+     * locate, both the file with the '.js' extension and the 'index.js' under
+     * the directory with the module name are candidates, for example,
+     * 'app/models/user.js' and 'app/models/user/index.js' for the module
+     * 'models.user' under the root 'app'.
      *
      * @method normalize_
      * @param {String} name the name of the module to be normalized
-     * @return {String} the normalized url for the module
+     * @param {Array} extensions the optional extensions of the candidates, see
+     *                           expand_ for details
+     * @return {Array} the candidate paths for the module
      */
-    Loader.prototype.normalize_ = function (name) {
+    Loader.prototype.normalize_ = function (name, extensions) {
         var tokens = null,
             token = null,
             index = 0,
             length = 0,
             node = null,
             candidate = null,
-            url = this.baseUrl_;
+            bases = [],
+            result = [];
             
         tokens = name.split('.');
         length = tokens.length;
@@ -161,25 +259,272 @@ Condotti.add('condotti.server.loader', function (C) {
             node = node[token];
             index += 1;
             
-            if (node.__path__) {
+            if (node.__paths__) {
                 candidate = {
                     index: index,
-                    path: node.__path__
+                    paths: node.__paths__
                 };
             }
         }
         
         if (candidate) {
-            url = C.natives.path.resolve(
-                candidate.path, tokens.slice(candidate.index).join('/')
+            bases = candidate.paths.map(function (path) {
+                return C.natives.path.resolve(
+                    path, tokens.slice(candidate.index).join('/')
+                );
+            });
+        }
+        
+        bases = bases.concat(this.roots_.map(function (root) {
+            return C.natives.path.resolve(root, tokens.join('/'));
+        }));
+        
+        return this.expand_(bases, extensions);
+    };
+    
+    /**
+     * Expand the directories the module may locate into the candidate files.
+     * If the extensions are specified, which is the case when the module is
+     * loaded via a loader plugin, the candidates are the files with these
+     * extensions. Otherwise the file with the '.js' extension and the 
+     * 'index.js' under the directory are the candidates.
+     *
+     * @method expand_
+     * @param {Array} bases the paths to the module without the extension
+     * @param {Array} extensions the optional extensions of the candidates
+     * @return {Array} the candidate files
+     */
+    Loader.prototype.expand_ = function (bases, extensions) {
+        var result = [];
+        
+        bases.forEach(function (base) {
+            var paths = null;
+            
+            if (extensions) {
+                paths = extensions.map(function (extension) {
+                    return base + extension;
+                });
+            } else {
+                paths = [base + '.js', C.natives.path.join(base, 'index.js')];
+            }
+            
+            paths.forEach(function (path) {
+                if (result.indexOf(path) < 0) {
+                    result.push(path);
+                }
+            });
+        });
+        
+        return result;
+    };
+    
+    /**
+     * Return the npm package the module is to be loaded from, and the path of
+     * the module inside the package. A module is loaded from a package if its
+     * name starts with 'npm:' followed by the package name, such as
+     * 'npm:acme-widgets.grid', or its name starts with one of the prefixes
+     * in the "packages" mappings of the config, for example, 'acme.widgets.grid'
+     * with the mapping { 'acme.widgets': 'acme-widgets' }.
+     *
+     * @method match_
+     * @param {String} name the name of the module
+     * @return {Object} the matched package in the form of 
+     *                  { name: 'acme-widgets', path: 'grid' }, or null if the
+     *                  module is not from any package
+     */
+    Loader.prototype.match_ = function (name) {
+        var prefix = null,
+            index = 0,
+            tokens = null;
+        
+        if (0 === name.indexOf('npm:')) {
+            name = name.substring(4);
+            // the dots in the scope part, such as '@acme.io/widgets', does not
+            // separate the package name from the path
+            index = name.indexOf('.', Math.max(name.indexOf('/'), 0));
+            return index < 0 ? { name: name, path: '' } : { 
+                name: name.substring(0, index), 
+                path: name.substring(index + 1) 
+            };
+        }
+        
+        tokens = name.split('.');
+        for (index = tokens.length; index > 0; index -= 1) {
+            prefix = tokens.slice(0, index).join('.');
+            if (this.packages_.hasOwnProperty(prefix)) {
+                return {
+                    name: this.packages_[prefix],
+                    path: tokens.slice(index).join('.')
+                };
+            }
+        }
+        
+        return null;
+    };
+    
+    /**
+     * Locate the directory of the npm package by searching the "node_modules"
+     * directories under the roots and all their ancestors, the same way as
+     * node.js does. The modules are expected to be under the root directory
+     * specified by the "condotti" field of the package.json, which can be
+     * either a string, or an object with the "root" property, such as
+     * { "condotti": { "root": "lib" } }. The package directory itself is used
+     * if the field is missing.
+     *
+     * @method locate_
+     * @param {String} name the name of the package
+     * @param {Function} callback the callback function to be invoked with the
+     *                            directory where the modules locate. The 
+     *                            signature of the callback is
+     *                            'function (error, directory) {}'
+     */
+    Loader.prototype.locate_ = function (name, callback) {
+        var self = this,
+            candidates = [];
+        
+        if (this.located_[name]) {
+            callback(null, this.located_[name]);
+            return;
+        }
+        
+        this.roots_.forEach(function (root) {
+            var directory = root,
+                parent = null,
+                candidate = null;
+            
+            while (true) {
+                candidate = C.natives.path.join(directory, 'node_modules', name);
+                if (candidates.indexOf(candidate) < 0) {
+                    candidates.push(candidate);
+                }
+                
+                parent = C.natives.path.dirname(directory);
+                if (parent === directory) {
+                    break;
+                }
+                directory = parent;
+            }
+        });
+        
+        C.async.detectSeries(candidates, function (directory, next) {
+            C.natives.fs.stat(
+                C.natives.path.join(directory, 'package.json'), 
+                function (error, stats) {
+                    next(!error && stats.isFile());
+                }
+            );
+        }, function (directory) {
+            if (!directory) {
+                self.logger_.debug('Package ' + name + ' can not be found ' +
+                                   'under the paths: ' + 
+                                   C.lang.reflect.inspect(candidates));
+                callback(new C.errors.ModuleNotFoundError(name, candidates));
+                return;
+            }
+            
+            C.natives.fs.readFile(
+                C.natives.path.join(directory, 'package.json'), 
+                function (error, data) {
+                    var meta = null,
+                        root = null;
+                    
+                    try {
+                        if (error) {
+                            throw error;
+                        }
+                        meta = JSON.parse(data.toString()).condotti;
+                    } catch (e) {
+                        self.logger_.debug('Reading package.json of the ' + 
+                                           'package ' + name + ' under ' + 
+                                           directory + ' failed. Error: ' + 
+                                           C.lang.reflect.inspect(e));
+                        callback(e);
+                        return;
+                    }
+                    
+                    root = (meta && 'object' === typeof meta) ? meta.root : 
+                                                                meta;
+                    self.located_[name] = C.natives.path.resolve(
+                        directory, root || '.'
+                    );
+                    callback(null, self.located_[name]);
+                }
             );
-        } else {
-            url += tokens.join('/');
+        });
+    };
+    
+    /**
+     * Resolve the module name to the path of the file to load by trying the
+     * candidates returned by normalize_ one by one, or the candidates inside
+     * the npm package if the module is from a package. The prefix of the
+     * loader plugin, such as 'json!', is stripped from the name before
+     * resolving, and the extensions of the plugin are used. If none of the
+     * candidates exists, ModuleNotFoundError with all the paths tried is passed
+     * to the callback.
+     *
+     * @method resolve_
+     * @param {String} name the name of the module to be resolved
+     * @param {Function} callback the callback function to be invoked with the
+     *                            resolved path. The signature of the callback
+     *                            is 'function (error, url) {}'
+     */
+    Loader.prototype.resolve_ = function (name, callback) {
+        var self = this,
+            found = C.loaders.plugins.find(name),
+            path = found ? found.path : name,
+            extensions = found ? found.plugin.extensions : null,
+            matched = this.match_(path);
+        
+        if (!matched) {
+            this.search_(name, this.normalize_(path, extensions), callback);
+            return;
         }
         
-        url += '.js';
+        this.locate_(matched.name, function (error, directory) {
+            if (error instanceof C.errors.ModuleNotFoundError) {
+                callback(new C.errors.ModuleNotFoundError(name, error.paths));
+                return;
+            }
+            
+            if (error) {
+                callback(error);
+                return;
+            }
+            
+            self.search_(name, self.expand_([C.natives.path.resolve(
+                directory, matched.path.split('.').join('/')
+            )], extensions), callback);
+        });
+    };
+    
+    /**
+     * Find the first existing file among the candidates of the module.
+     *
+     * @method search_
+     * @param {String} name the name of the module to be searched
+     * @param {Array} candidates the candidate files of the module
+     * @param {Function} callback the callback function to be invoked with the
+     *                            found file. The signature of the callback is
+     *                            'function (error, url) {}'
+     */
+    Loader.prototype.search_ = function (name, candidates, callback) {
+        var self = this;
         
-        return C.natives.path.normalize(url);
+        C.async.detectSeries(candidates, function (path, next) {
+            C.natives.fs.stat(path, function (error, stats) {
+                next(!error && stats.isFile());
+            });
+        }, function (url) {
+            if (!url) {
+                self.logger_.debug('Module ' + name + ' can not be found ' +
+                                   'under the paths: ' + 
+                                   C.lang.reflect.inspect(candidates));
+                callback(new C.errors.ModuleNotFoundError(name, candidates));
+                return;
+            }
+            
+            callback(null, url);
+        });
     };
     
     /**
@@ -197,9 +542,36 @@ Condotti.add('condotti.server.loader', function (C) {
         /* re-initailizing */
         this.baseUrl_ = this.config_.baseUrl || './';
         this.paths_ = this.config_.paths || {};
+        this.packages_ = this.config_.packages || {};
+        this.located_ = {};
+        this.isolated_ = !!this.config_.isolated;
+        this.allowed_ = this.config_.allowed || [];
         this.tree_ = {};
+        this.watching_ = !!this.config_.watch;
+        
+        if (!this.watching_) {
+            this.destroy();
+        }
         
         this.initialize_();
+        this.track_();
+    };
+    
+    /**
+     * Register the Condotti instance this loader serves as one of the live
+     * instances to be notified when the modules are reloaded if the module
+     * files are watched, otherwise unregister it.
+     *
+     * @method track_
+     */
+    Loader.prototype.track_ = function () {
+        var index = Condotti.instances_.indexOf(C);
+        
+        if (this.watching_ && index < 0) {
+            Condotti.instances_.push(C);
+        } else if (!this.watching_ && index >= 0) {
+            Condotti.instances_.splice(index, 1);
+        }
     };
     
 
@@ -221,24 +593,29 @@ Condotti.add('condotti.server.loader', function (C) {
         
         // TODO: param validations
         C.async.forEach(names, function (name, next) {
-            var url = self.normalize_(name);
-
-            urls[name] = url;
-            
-            C.natives.fs.readFile(url, function (error, script) {
+            self.resolve_(name, function (error, url) {
                 if (error) {
-                    self.logger_.debug('Reading module file ' + url + 
-                                       ' failed. Error: ' + 
-                                       C.lang.reflect.inspect(error));
                     next(error);
                     return;
                 }
 
-                if (!scripts[name]) {
-                    scripts[name] = script;
-                }
+                urls[name] = url;
+                
+                C.natives.fs.readFile(url, function (error, script) {
+                    if (error) {
+                        self.logger_.debug('Reading module file ' + url + 
+                                           ' failed. Error: ' + 
+                                           C.lang.reflect.inspect(error));
+                        next(error);
+                        return;
+                    }
+                    
+                    if (!scripts[name]) {
+                        scripts[name] = script;
+                    }
 
-                next();
+                    next();
+                });
             });
 
         }, function (error) {
@@ -249,7 +626,21 @@ Condotti.add('condotti.server.loader', function (C) {
             
             try {
                 names.forEach(function (name) {
-                    self.execute_(name, urls[name], scripts[name]);
+                    var registered = null;
+                    
+                    // the module may have been registered by another
+                    // instance sharing the registry while its file is read
+                    if (name in C.loaded_) {
+                        self.logger_.debug('Module ' + name + ' has been ' +
+                                           'registered, and it is skipped.');
+                        return;
+                    }
+                    
+                    registered = self.execute_(name, urls[name],
+                                               scripts[name]);
+                    if (self.watching_) {
+                        self.watch_(name, registered, urls[name]);
+                    }
                 });    
             } catch (e) {
                 callback(e);
@@ -260,45 +651,221 @@ Condotti.add('condotti.server.loader', function (C) {
     };
 
     /**
-     * Rad the module source and execute it in the current context
+     * Watch the module file, and reload it when it is changed.
+     *
+     * @method watch_
+     * @param {String} name the name of the module the file is loaded for
+     * @param {Array} modules the module entries registered by the file in the
+     *                        form of 'name@version'
+     * @param {String} url the absolute path to the module file
+     */
+    Loader.prototype.watch_ = function (name, modules, url) {
+        var self = this;
+        
+        if (url in this.watched_) {
+            return;
+        }
+        
+        this.logger_.debug('Watching file ' + url + ' of modules ' + 
+                           modules.join(', ') + ' for changes ...');
+        this.watched_[url] = { name: name, modules: modules };
+        C.natives.fs.watchFile(url, {
+            persistent: false, 
+            interval: this.config_.interval || 500
+        }, function (current, previous) {
+            if (current.mtime.getTime() === previous.mtime.getTime()) {
+                return;
+            }
+            self.reload_(url);
+        });
+    };
+    
+    /**
+     * Reload the modules from the changed file, replace their entries in the
+     * loaded module collection, and then re-attach them and their dependents
+     * in all the live Condotti instances one after another, or only in this
+     * instance if it has a private registry. Only the versions registered by
+     * the file are removed before it is executed again, so that the other
+     * versions of the same modules are kept. If the new source fails to be
+     * executed, the original entries are restored.
+     *
+     * @method reload_
+     * @param {String} url the absolute path to the module file
+     */
+    Loader.prototype.reload_ = function (url) {
+        var self = this,
+            watched = this.watched_[url];
+        
+        this.logger_.info('File ' + url + ' of modules ' + 
+                          watched.modules.join(', ') + 
+                          ' has been changed, reloading ...');
+        
+        C.natives.fs.readFile(url, function (error, script) {
+            var backups = [],
+                before = null,
+                registered = null,
+                names = [],
+                instances = (C.loaded_ === Condotti.loaded_) ?
+                            Condotti.instances_.slice() : [C],
+                remove = function (name, version) {
+                    var versions = C.loaded_[name];
+                    
+                    delete versions[version];
+                    if (!Object.keys(versions).length) {
+                        delete C.loaded_[name];
+                    }
+                };
+            
+            if (error) {
+                self.logger_.error('Reading module file ' + url + 
+                                   ' failed. Error: ' + 
+                                   C.lang.reflect.inspect(error));
+                return;
+            }
+            
+            // only the own entries are replaced if the registry is private
+            watched.modules.forEach(function (module) {
+                var parsed = Condotti.parseRequirement(module),
+                    versions = C.loaded_.hasOwnProperty(parsed.name) ?
+                               C.loaded_[parsed.name] : null;
+                
+                if (!versions || !versions.hasOwnProperty(parsed.range)) {
+                    return;
+                }
+                backups.push({ 
+                    name: parsed.name, 
+                    version: parsed.range, 
+                    versions: versions,
+                    module: versions[parsed.range]
+                });
+                remove(parsed.name, parsed.range);
+            });
+            before = C.loaders.entries();
+            
+            try {
+                registered = self.execute_(watched.name, url, script);
+            } catch (e) {
+                C.loaders.entries().forEach(function (module) {
+                    var parsed = null;
+                    
+                    if (before.indexOf(module) < 0) {
+                        parsed = Condotti.parseRequirement(module);
+                        remove(parsed.name, parsed.range);
+                    }
+                });
+                backups.forEach(function (backup) {
+                    if (!C.loaded_.hasOwnProperty(backup.name)) {
+                        C.loaded_[backup.name] = backup.versions;
+                    }
+                    C.loaded_[backup.name][backup.version] = backup.module;
+                });
+                self.logger_.error('Reloading modules ' + 
+                                   watched.modules.join(', ') + ' from ' + 
+                                   url + ' failed, the original ones are ' +
+                                   'kept. Error: ' + 
+                                   C.lang.reflect.inspect(e));
+                return;
+            }
+            
+            watched.modules = registered;
+            registered.forEach(function (module) {
+                var name = Condotti.parseRequirement(module).name;
+                
+                if (names.indexOf(name) < 0) {
+                    names.push(name);
+                }
+            });
+            self.logger_.info('Modules ' + registered.join(', ') + 
+                              ' have been reloaded.');
+            
+            // the instances are re-attached one after another, so that the
+            // modules newly required are loaded into the shared registry
+            // only once
+            C.async.forEachSeries(instances, function (instance, next) {
+                C.async.forEachSeries(names, function (name, next) {
+                    instance.reload(name, function (error) {
+                        if (error) {
+                            self.logger_.error('Re-attaching module ' + 
+                                               name + ' failed. Error: ' + 
+                                               C.lang.reflect.inspect(error));
+                        }
+                        next();
+                    });
+                }, function () {
+                    next();
+                });
+            });
+        });
+    };
+    
+    /**
+     * Stop watching all the module files
+     *
+     * @method destroy
+     */
+    Loader.prototype.destroy = function () {
+        var url = null;
+        
+        for (url in this.watched_) {
+            C.natives.fs.unwatchFile(url);
+        }
+        this.watched_ = {};
+    };
+    
+    /**
+     * Rad the module source and execute it in the current context, or in a
+     * new context created for this module only if the loader is isolated.
+     * If the module is to be loaded via a loader plugin, the content is passed
+     * to the plugin instead of being executed.
+     * The module source is wrapped in a function, and the "__dirname",
+     * "__filename" and "require" are passed in as its params, instead of being
+     * embedded into the generated source. The modules added without names by
+     * the source are assigned the requested name, and ModuleNameMismatchError
+     * is thrown if the source does not register the module with the name.
      *
      * @method execute_
      * @param {String} name the name of the module to be executed
      * @param {String} url the absolute path to the module file on the file 
      *                     system
      * @param {String} data the source of the module to be executed
+     * @return {Array} the module entries registered by the source in the
+     *                 form of 'name@version'
      */
     Loader.prototype.execute_ = function (name, url, data) {
-        var directory = '',
+        var self = this,
+            directory = '',
             file = '',
             source = null,
             script = null,
-            backup = null,
             fn = null;
 
         // TODO: add url check for remote modules in the future
+        if (C.loaders.plugins.define(name, data, url)) {
+            this.logger_.debug('Module ' + name + ' is defined by the loader ' +
+                               'plugin.');
+            return [name + '@0.0.0'];
+        }
+        
         directory = C.natives.path.dirname(url);
         file = url;
 
-        source = ';(function (Condotti) {' +
-                 '    var __dirname = \'' + directory + '\', ' +
-                 '        __filename = \'' + file + '\', ' +
-                 '        require = function (module) {' +
-                 '            var path = Condotti.require(\'path\'); ' +
-                 '            module = path.resolve(__dirname, module); ' +
-                 '            return Condotti.require(module);' +
-                 '        };' +
+        source = ';(function (Condotti, __dirname, __filename, require) {' +
                  data +
-                 '    ;' +
+                 '\n    ;' +
                  '    return Condotti;' +
                  '})';
         try {
-            script = C.natives.vm.createScript(source, url);
-            fn = script.runInThisContext();
-            backup = Condotti.require;
-            Condotti.require = C.require;
-            Condotti = fn(Condotti);
-            Condotti.require = backup;
+            return C.loaders.execute(name, url, function () {
+                script = C.natives.vm.createScript(source, url);
+                if (self.isolated_) {
+                    fn = script.runInContext(self.contextualize_(name));
+                    fn(self.confine_(name, directory), directory, file, 
+                       self.scope_(name, directory));
+                } else {
+                    fn = script.runInThisContext();
+                    fn(Condotti, directory, file, self.scope_(name, directory));
+                }
+            });
         } catch (e) {
             this.logger_.debug('Executing source of module ' + name + 
                                ' failed. Error: ' + C.lang.reflect.inspect(e));
@@ -306,8 +873,169 @@ Condotti.add('condotti.server.loader', function (C) {
         }
     };
 
+    /**
+     * Create a new context for executing the module in isolated mode. The
+     * global object of the context contains only the console, the timer
+     * functions, Buffer, and the extra globals specified in the config. Note
+     * that the context is not a security boundary, since the objects passed
+     * in, such as Buffer, still lead to the globals of this process.
+     *
+     * @method contextualize_
+     * @param {String} name the name of the module to be executed
+     * @return {Object} the created context
+     */
+    Loader.prototype.contextualize_ = function (name) {
+        var sandbox = {
+                console: console,
+                Buffer: Buffer,
+                setTimeout: setTimeout,
+                clearTimeout: clearTimeout,
+                setInterval: setInterval,
+                clearInterval: clearInterval
+            },
+            globals = this.config_.globals || {};
+        
+        Object.keys(globals).forEach(function (key) {
+            sandbox[key] = globals[key];
+        });
+        
+        this.logger_.debug('Creating isolated context for module ' + name + 
+                           ' with globals ' + 
+                           C.lang.reflect.inspect(Object.keys(sandbox)));
+        return C.natives.vm.createContext(sandbox);
+    };
+    
+    /**
+     * Return the "require" function for the module. The paths starting with
+     * "." are resolved against the directory of the module. If the loader is
+     * isolated, only the modules in the allow-list can be required.
+     *
+     * @method scope_
+     * @param {String} name the name of the module to be executed
+     * @param {String} directory the directory where the module locates
+     * @return {Function} the "require" function for the module
+     */
+    Loader.prototype.scope_ = function (name, directory) {
+        var self = this;
+        
+        return function (module) {
+            if (self.isolated_ && self.allowed_.indexOf(module) < 0) {
+                self.logger_.debug('Module ' + name + ' in isolated mode ' +
+                                   'is not allowed to require ' + module);
+                throw new C.errors.ModuleRequireError(module, new Error(
+                    'Module ' + module + ' is not in the allow-list ' + 
+                    C.lang.reflect.inspect(self.allowed_) + 
+                    ' of the isolated loader.'
+                ));
+            }
+            
+            if ('.' === module.charAt(0)) {
+                module = C.natives.path.resolve(directory, module);
+            }
+            
+            return C.require(module);
+        };
+    };
+    
+    /**
+     * Return the stand-in of the Condotti global for the module executed in
+     * isolated mode, which is frozen, and only provides the "add" method. The
+     * entry points of the modules added through it are wrapped, so that they
+     * are attached with the view of the Condotti instance returned by 
+     * restrict_ instead of the instance itself.
+     *
+     * @method confine_
+     * @param {String} name the name of the module to be executed
+     * @param {String} directory the directory where the module locates
+     * @return {Object} the stand-in of the Condotti global
+     */
+    Loader.prototype.confine_ = function (name, directory) {
+        var self = this,
+            stub = {},
+            wrap = null;
+        
+        wrap = function (fn) {
+            if ('function' !== typeof fn) {
+                return fn;
+            }
+            
+            // the number of the params tells the asynchronous entry points
+            if (fn.length > 2) {
+                return function (C, config, done) {
+                    var view = self.restrict_(C, stub, name, directory);
+                    return fn.call(view, view, config, done);
+                };
+            }
+            return function (C, config) {
+                var view = self.restrict_(C, stub, name, directory);
+                return fn.call(view, view, config);
+            };
+        };
+        
+        stub.add = function (module, fn, version, meta) {
+            // the same signatures as Condotti.add, where the name is optional
+            if ('function' === typeof module) {
+                Condotti.add(wrap(module), fn, version);
+            } else {
+                Condotti.add(module, wrap(fn), version, meta);
+            }
+            return stub;
+        };
+        
+        return Object.freeze(stub);
+    };
+    
+    /**
+     * Return the view of the Condotti instance for the module executed in
+     * isolated mode, which reads and writes through to the instance, except
+     * that the "require" is the one returned by scope_, the "natives" only
+     * contains the allowed node.js modules, the "constructor" is the stand-in
+     * of the Condotti global returned by confine_, and the prototype is
+     * hidden, so that the shared Condotti.prototype can not be reached.
+     *
+     * @method restrict_
+     * @param {Condotti} instance the Condotti instance the module is attached
+     *                            to
+     * @param {Object} stub the stand-in of the Condotti global
+     * @param {String} name the name of the module to be executed
+     * @param {String} directory the directory where the module locates
+     * @return {Object} the view of the Condotti instance
+     */
+    Loader.prototype.restrict_ = function (instance, stub, name, directory) {
+        var require = this.scope_(name, directory),
+            natives = {};
+        
+        this.allowed_.forEach(function (module) {
+            Object.defineProperty(natives, module, {
+                enumerable: true,
+                get: function () {
+                    return instance.natives[module];
+                }
+            });
+        });
+        
+        return new Proxy(instance, {
+            get: function (target, property) {
+                switch (property) {
+                case 'require':
+                    return require;
+                case 'natives':
+                    return natives;
+                case 'constructor':
+                    return stub;
+                default:
+                    return target[property];
+                }
+            },
+            getPrototypeOf: function () {
+                return null;
+            }
+        });
+    };
+    
     C.namespace('loaders').Loader = Loader;
 
 }, '0.0.1', { requires: ['condotti.lang', 'condotti.reflect', 
                          'condotti.errors', 'condotti.async', 
+                         'condotti.plugins', 'condotti.loaders',
                          'condotti.server.core'] });
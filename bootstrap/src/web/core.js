@@ -5,6 +5,33 @@
  */
 Condotti.add('condotti.web.core', function (C) {
     
-    C.$ = jQuery;
+    /**
+     * The global window object
+     *
+     * @property window
+     * @type Object
+     * @default window
+     */
+    C.window = window;
+    
+    /**
+     * The environment Condotti is running in, which can be checked by the
+     * "when" conditions in the module meta
+     *
+     * @property env
+     * @type String
+     * @default 'web'
+     */
+    C.env = 'web';
+    
+    /**
+     * The jQuery object if it exists in the page. Note that Condotti itself
+     * does not depend on it.
+     *
+     * @property $
+     * @type Function
+     * @default jQuery
+     */
+    C.$ = ('undefined' !== typeof jQuery) ? jQuery : null;
     
 }, '0.0.1', {});
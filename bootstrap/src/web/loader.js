@@ -1,7 +1,7 @@
 /**
  * This module contains the implementation of the module loader for web/browser,
- * which internally use 'jQuery' to fetch and execute modules on remote HTTP
- * servers via AJAX.
+ * which loads modules on remote HTTP servers by injecting '<script>' tags, or
+ * fetching and executing them via AJAX.
  *
  * @module condotti.loader
  */
@@ -9,8 +9,15 @@ Condotti.add('condotti.web.loader', function (C) {
     
     /**
      * This Loader class is designed to load modules for Condotti framework
-     * in the web/browser environment. Its internal leverage 'jQuery' to
-     * fetch and execute modules resist on remote HTTP servers.
+     * in the web/browser environment. By default the modules resist on remote
+     * HTTP servers are loaded via '<script>' tags, which works with the
+     * Content Security Policy and keeps the stack traces meaningful, while
+     * the 'xhr' mode fetches the sources via "fetch" or XMLHttpRequest and
+     * executes them. The modules loaded via loader plugins, such as 
+     * 'json!config.defaults', are always fetched, so are all the modules of
+     * the Condotti instance with a private registry, since the scripts
+     * injected are executed asynchronously, when the modules they add can not
+     * be routed into the registry of the instance.
      *
      * @class Loader
      * @constructor
@@ -36,7 +43,7 @@ Condotti.add('condotti.web.loader', function (C) {
          *    When specified in relative mode, this url is supposed to be
          *    relative to the path of the HTML page which loads the Condotti
          *    framework, and is prepended before the module names to generate
-         *    the actual urls used by jQuery to fetch those modules.
+         *    the actual urls used to load those modules.
          *
          * 2. absolute path: '/assets/js'
          *    The absolute path based on the document root of the HTTP server
@@ -79,6 +86,26 @@ Condotti.add('condotti.web.loader', function (C) {
          */
         this.paths_ = this.config_.paths || {};
         
+        /**
+         * The mode how the modules are loaded, which can be 'script' or 'xhr'.
+         * See the class description for details.
+         *
+         * @property mode_
+         * @type String
+         * @default 'script'
+         */
+        this.mode_ = this.config_.mode || 'script';
+        
+        /**
+         * The nonce to be set onto the injected '<script>' tags, which is
+         * required when the Content Security Policy of the page specifies
+         * the script nonce.
+         *
+         * @property nonce_
+         * @type String
+         * @default null
+         */
+        this.nonce_ = this.config_.nonce || null;
         
         /**
          * The searching tree based on the path mapping
@@ -143,13 +170,20 @@ Condotti.add('condotti.web.loader', function (C) {
         /* re-initailizing */
         this.baseUrl_ = this.config_.baseUrl || './';
         this.paths_ = this.config_.paths || {};
+        this.mode_ = this.config_.mode || 'script';
+        this.nonce_ = this.config_.nonce || null;
         this.tree_ = {};
         
         this.initialize_();
     };
     
     /**
-     * Load and execute the required modules with the help of 'jQuery'
+     * Load and execute the required modules. The modules whose files can not
+     * be found, which are the ones responded with HTTP status 404 or 410, or
+     * the scripts failed to be loaded when injected, are reported as
+     * ModuleNotFoundError, so that the next loader can be tried when chained
+     * with the CompositeLoader. The other failures are reported as
+     * ModuleRequireFailedError with the error caught nested.
      *
      * @method require
      * @param {Array} names the names of the modules required to be loaded
@@ -159,53 +193,207 @@ Condotti.add('condotti.web.loader', function (C) {
      *                            'function (error) {}'
      */
     Loader.prototype.require = function (names, callback) {
-        var self = this,
-            scripts = {};
+        var self = this;
         
         // TODO: param validations
         C.async.forEach(names, function (name, next) {
-            var url = self.normalize_(name);
+            var url = self.normalize_(name),
+                before = null;
             
-            C.$.get(url, function (script) {
-                
-                if (!scripts[name]) {
-                    scripts[name] = script;
+            if ('xhr' !== self.mode_ && C.loaded_ === Condotti.loaded_ &&
+                !C.loaders.plugins.find(name)) {
+                // the modules added without names by the scripts included
+                // in the page directly are not to be claimed by this one
+                before = Object.keys(Condotti.loaded_);
+                Condotti.anonymous_ = [];
+                self.inject_(url, function (error) {
+                    // the "error" event of the script does not tell the
+                    // reason, which is most likely the missing file
+                    if (error) {
+                        self.logger_.debug('Loading module ' + name + 
+                                           ' from ' + url + ' failed. ' +
+                                           'Error: ' + 
+                                           C.lang.reflect.inspect(error));
+                        next(new C.errors.ModuleNotFoundError(name, [url]));
+                        return;
+                    }
+                    
+                    // the "load" event is fired right after the script is
+                    // executed, so the modules added without names by now are
+                    // the ones of this script
+                    try {
+                        C.loaders.claim(name, url, before);
+                    } catch (e) {
+                        self.logger_.debug('Loading module ' + name + 
+                                           ' from ' + url + ' failed. ' +
+                                           'Error: ' + 
+                                           C.lang.reflect.inspect(e));
+                        next(new C.errors.ModuleRequireFailedError(name, e));
+                        return;
+                    }
+                    
+                    next();
+                });
+                return;
+            }
+            
+            self.fetch_(url, function (error, script) {
+                if (error) {
+                    self.logger_.debug('Fetching module ' + name + ' from ' + 
+                                       url + ' failed. Error: ' + 
+                                       C.lang.reflect.inspect(error));
+                    if (404 === error.status || 410 === error.status) {
+                        next(new C.errors.ModuleNotFoundError(name, [url]));
+                        return;
+                    }
+                    next(new C.errors.ModuleRequireFailedError(name, error));
+                    return;
                 }
                 
-                next();
-            }, 'html')
-            /*.done(function (script) {
-                
-                if (!scripts[name]) {
-                    scripts[name] = script;
+                try {
+                    self.execute_(name, url, script);
+                } catch (e) {
+                    self.logger_.debug('Executing module ' + name + 
+                                       ' failed. Error: ' + 
+                                       C.lang.reflect.inspect(e));
+                    next(new C.errors.ModuleRequireFailedError(name, e));
+                    return;
                 }
                 
                 next();
-            })*/.error(function (jqXHR, status, error) {
-                self.logger_.debug('Fetching module ' + name + ' from ' + url +
-                                   ' failed. Error: ' + error + ', status: ' +
-                                   jqXHR.status);
-                
-                next(new C.errors.ModuleRequireFailedError(name, 
-                                                           new Error(error)));
             });
+            
+        }, callback);
+    };
+    
+    /**
+     * Load the script by injecting a '<script>' tag into the page.
+     *
+     * @method inject_
+     * @param {String} url the url of the script
+     * @param {Function} callback the callback function to be invoked when the
+     *                            script is loaded or fails to be loaded. The
+     *                            signature of the callback is
+     *                            'function (error) {}'
+     */
+    Loader.prototype.inject_ = function (url, callback) {
+        var document = C.window.document,
+            head = document.head || document.getElementsByTagName('head')[0],
+            script = document.createElement('script'),
+            complete = null;
+        
+        complete = function (error) {
+            script.onload = script.onerror = null;
+            head.removeChild(script);
+            callback(error);
+        };
         
-        }, function (error) {
-            if (error) {
+        script.onload = function () {
+            complete();
+        };
+        script.onerror = function () {
+            complete(new Error('Loading script ' + url + ' failed.'));
+        };
+        
+        if (this.nonce_) {
+            script.setAttribute('nonce', this.nonce_);
+        }
+        script.async = true;
+        script.src = url;
+        
+        head.appendChild(script);
+    };
+    
+    /**
+     * Fetch the content of the specified url via "fetch" if it is supported,
+     * otherwise XMLHttpRequest is used. The HTTP status of the failed request
+     * is kept in the "status" field of the error.
+     *
+     * @method fetch_
+     * @param {String} url the url to be fetched
+     * @param {Function} callback the callback function to be invoked with the
+     *                            content fetched. The signature of the
+     *                            callback is 'function (error, content) {}'
+     */
+    Loader.prototype.fetch_ = function (url, callback) {
+        var request = null;
+        
+        if (C.lang.reflect.isFunction(C.window.fetch)) {
+            callback = C.lang.async(callback); // not to be called inside the
+                                               // promise chain
+            C.window.fetch(url, { credentials: 'same-origin' }).then(
+                function (response) {
+                    var error = null;
+                    
+                    if (!response.ok) {
+                        error = new Error('Fetching ' + url + ' failed with ' +
+                                          'HTTP status ' + response.status);
+                        error.status = response.status;
+                        throw error;
+                    }
+                    return response.text();
+                }
+            ).then(function (content) {
+                callback(null, content);
+            }, function (error) {
                 callback(error);
+            });
+            return;
+        }
+        
+        request = new C.window.XMLHttpRequest();
+        request.open('GET', url, true);
+        request.onreadystatechange = function () {
+            var error = null;
+            
+            if (4 !== request.readyState) {
                 return;
             }
             
-            names.forEach(function (name) {
-                eval(scripts[name]);
-            });
+            request.onreadystatechange = null;
+            if (request.status >= 200 && request.status < 300) {
+                callback(null, request.responseText);
+                return;
+            }
             
-            callback();
+            error = new Error('Fetching ' + url + ' failed with HTTP ' + 
+                              'status ' + request.status);
+            error.status = request.status;
+            callback(error);
+        };
+        request.send(null);
+    };
+    
+    /**
+     * Execute the fetched module source in the global scope, or pass the 
+     * content to the loader plugin if the module is to be loaded via a plugin.
+     * The url is appended to the source as the "sourceURL" so that the stack
+     * traces point to the module file. The modules added without names by the
+     * source are assigned the requested name.
+     *
+     * @method execute_
+     * @param {String} name the name of the module to be executed
+     * @param {String} url the url where the module is fetched
+     * @param {String} data the content of the module
+     */
+    Loader.prototype.execute_ = function (name, url, data) {
+        if (C.loaders.plugins.define(name, data, url)) {
+            this.logger_.debug('Module ' + name + ' is defined by the loader ' +
+                               'plugin.');
+            return;
+        }
+        
+        C.loaders.execute(name, url, function () {
+            (0, eval)(data + '\n//# sourceURL=' + url); // indirect eval to
+                                                        // execute in the
+                                                        // global scope
         });
     };
     
     /**
-     * Normalize the module name to url to fetch
+     * Normalize the module name to url to fetch. If the module is to be loaded
+     * via a loader plugin, such as 'json!config.defaults', the prefix is
+     * stripped, and the first extension of the plugin is used instead of '.js'.
      *
      * @method normalize_
      * @param {String} name the name of the module to be normalized
@@ -218,9 +406,10 @@ Condotti.add('condotti.web.loader', function (C) {
             length = 0,
             node = null,
             candidate = null,
+            found = C.loaders.plugins.find(name),
             url = this.baseUrl_;
             
-        tokens = name.split('.');
+        tokens = (found ? found.path : name).split('.');
         length = tokens.length;
         node = this.tree_;
         
@@ -248,7 +437,7 @@ Condotti.add('condotti.web.loader', function (C) {
             url += tokens.join('/');
         }
         
-        url += '.js';
+        url += found ? (found.plugin.extensions[0] || '') : '.js';
         
         return url;
     };
@@ -257,4 +446,5 @@ Condotti.add('condotti.web.loader', function (C) {
     
 }, '0.0.1', { requires: ['condotti.lang', 'condotti.reflect',
                          'condotti.errors', 'condotti.async', 
+                         'condotti.plugins', 'condotti.loaders',
                          'condotti.web.core']});
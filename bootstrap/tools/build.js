@@ -0,0 +1,285 @@
+/**
+ * This module contains the implementation of the "condotti build" command,
+ * which bundles the core modules of Condotti for the specified target, and the
+ * closure of the entry modules computed from the "requires" of their meta,
+ * into a single file, in which all the modules are pre-registered. The modules
+ * added without names are named after their paths relative to the include
+ * directories.
+ *
+ * @module condotti.tools.build
+ */
+var fs = require('fs'),
+    cli = require('./cli'),
+    Scanner = require('./scanner').Scanner,
+    CONDOTTI = require('./scanner').CONDOTTI;
+
+/**
+ * The usage of this command
+ *
+ * @property USAGE
+ * @type String
+ * @static
+ */
+var USAGE = [
+    'Usage: condotti build [options] [module ...]',
+    '',
+    'Bundle the core modules and the closure of the specified modules into',
+    'a single file.',
+    '',
+    'Options:',
+    '  -t, --target <target>    web or server, server by default',
+    '  -I, --include <path>     the file or directory to search for modules,',
+    '                           the current directory by default',
+    '  -x, --external <module>  the module left to the loader at runtime',
+    '  -a, --alias <name=module>',
+    '                           the alias of the module, the same as the',
+    '                           "aliases" in the Condotti config',
+    '  -o, --output <file>      the output file, stdout by default',
+    '      --umd                wrap the bundle in the UMD wrapper',
+    '      --no-core            bundle the required modules only',
+    ''
+].join('\n');
+
+/**
+ * Compute the files defining the closure of the entry modules in the
+ * dependency order. The modules provided by the core, the externals and the
+ * ones to be loaded via the loader plugins, such as 'json!config.defaults',
+ * are skipped, so are the optional ones that can not be found. The circular
+ * dependencies found in the closure are reported via the "warn" option, since
+ * they fail to be attached at runtime.
+ *
+ * @method collect
+ * @param {Scanner} scanner the scanner that has scanned the module tree
+ * @param {Array} entries the requirements of the entry modules
+ * @param {Object} options the options in the form of
+ *                         {
+ *                             core: ['condotti.lang', ...],
+ *                             externals: [...],
+ *                             target: 'server',
+ *                             warn: function (message) { ... }
+ *                         }
+ * @return {Array} the absolute paths of the files
+ */
+function collect (scanner, entries, options) {
+    var files = [],
+        visited = {},
+        missing = [],
+        cycles = [],
+        core = options.core || [],
+        externals = options.externals || [];
+    
+    (function visit (requirements, chain, optional) {
+        requirements.forEach(function (requirement) {
+            var name = null,
+                module = null,
+                requires = null,
+                names = null;
+            
+            requirement = scanner.alias(requirement);
+            name = scanner.Condotti.parseRequirement(requirement).name;
+            
+            if (core.indexOf(name) >= 0 || externals.indexOf(name) >= 0 ||
+                name.indexOf('!') >= 0) {
+                return;
+            }
+            
+            module = scanner.resolve(requirement);
+            if (!module) {
+                if (!optional) {
+                    missing.push(chain.concat(requirement).join(' -> '));
+                }
+                return;
+            }
+            
+            names = chain.map(function (requirement) {
+                return scanner.Condotti.parseRequirement(requirement).name;
+            });
+            if (names.indexOf(name) >= 0) {
+                cycles.push(names.slice(names.indexOf(name)).concat(name)
+                                 .join(' -> '));
+                return;
+            }
+            
+            if (visited[module.name + '@' + module.version]) {
+                return;
+            }
+            visited[module.name + '@' + module.version] = true;
+            
+            requires = scanner.getRequires(module, options.target);
+            visit(requires.requires, chain.concat(requirement), false);
+            visit(requires.optional, chain.concat(requirement), true);
+            if (files.indexOf(module.file) < 0) {
+                files.push(module.file);
+            }
+        });
+    }(entries, [], false));
+    
+    cycles.forEach(function (cycle) {
+        if (options.warn) {
+            options.warn('Circular dependency ' + cycle + ' is found, ' +
+                         'which fails to be attached.');
+        }
+    });
+    
+    if (missing.length) {
+        throw new Error('Required modules can not be found: ' +
+                        missing.join('; ') + (scanner.errors.length ?
+                        '. Files failed to be scanned: ' +
+                        scanner.errors.map(function (error) {
+                            return error.file;
+                        }).join(', ') : ''));
+    }
+    
+    return files;
+}
+
+/**
+ * Wrap the bundle in the UMD wrapper, which exports the Condotti global as the
+ * AMD module, the "Condotti" property of the CommonJS module, or the global
+ * variable. The global variable is defined in the first two cases as well,
+ * since the modules loaded at runtime, such as the scripts injected by the web
+ * loader, call "Condotti.add" at the top-level.
+ *
+ * @method wrap
+ * @param {String} content the content of the bundle
+ * @return {String} the wrapped content
+ */
+function wrap (content) {
+    return [
+        '(function (root, factory) {',
+        '    if (\'function\' === typeof define && define.amd) {',
+        '        define([], function () {',
+        '            return (root.Condotti = factory());',
+        '        });',
+        '    } else if (\'object\' === typeof module && module.exports) {',
+        '        module.exports.Condotti = root.Condotti = factory();',
+        '    } else {',
+        '        root.Condotti = factory();',
+        '    }',
+        '}(\'object\' === typeof self ? self : this, function () {',
+        content,
+        'return Condotti;',
+        '}));',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build the bundle with the specified options.
+ *
+ * @method build
+ * @param {Object} options the build options in the form of
+ *                         {
+ *                             target: 'server',
+ *                             entries: ['app.main'],
+ *                             includes: ['lib'],
+ *                             externals: ['app.plugins.extra'],
+ *                             aliases: { db: 'acme.storage.postgres' },
+ *                             core: true,
+ *                             umd: false,
+ *                             warn: function (message) { ... }
+ *                         }
+ *                         where "warn" is called with the warnings, such as
+ *                         the files failed to be scanned, which are skipped
+ * @return {String} the content of the bundle
+ */
+function build (options) {
+    var scanner = new Scanner(),
+        target = options.target || 'server',
+        core = (false !== options.core),
+        files = [],
+        names = [],
+        content = [];
+    
+    if (options.umd && !core) {
+        throw new Error('The UMD wrapper requires the core modules to be ' +
+                        'bundled.');
+    }
+    
+    files = scanner.scanCore(target);
+    files.forEach(function (file) {
+        names = names.concat(scanner.getNames(file));
+    });
+    
+    scanner.aliases = options.aliases || {};
+    (options.includes || []).forEach(function (include) {
+        scanner.scan(include);
+    });
+    // the files failed to be scanned are skipped, which is fatal only when
+    // a module required by the entries is missing because of them
+    scanner.errors.forEach(function (error) {
+        if (options.warn) {
+            options.warn(error.message);
+        }
+    });
+    
+    if (core) {
+        content.push(fs.readFileSync(CONDOTTI, 'utf8'));
+        files.forEach(function (file) {
+            content.push(fs.readFileSync(file, 'utf8'));
+        });
+        content.push('Condotti[\'CORE-MODULES\'] = ' +
+                     'Object.keys(Condotti.loaded_);');
+    }
+    
+    collect(scanner, options.entries || [], {
+        core: names,
+        externals: options.externals,
+        target: target,
+        warn: options.warn
+    }).forEach(function (file) {
+        var name = scanner.getAssigned(file);
+        
+        content.push(fs.readFileSync(file, 'utf8'));
+        if (name) {
+            content.push('Condotti.assign(' + JSON.stringify(name) + ');');
+        }
+    });
+    
+    content = content.join('\n') + '\n';
+    return options.umd ? wrap(content) : content;
+}
+
+/**
+ * Run this command with the command line arguments
+ *
+ * @method run
+ * @param {Array} argv the command line arguments after the command name
+ */
+function run (argv) {
+    var parsed = cli.parse(argv, {
+            target: { alias: 't', value: true },
+            include: { alias: 'I', multiple: true },
+            external: { alias: 'x', multiple: true },
+            alias: { alias: 'a', multiple: true },
+            output: { alias: 'o', value: true },
+            umd: {},
+            core: {},
+            help: { alias: 'h' }
+        }),
+        options = parsed.options;
+    
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    
+    cli.output(options.output, build({
+        target: options.target,
+        entries: parsed.args,
+        includes: (options.include.length || !parsed.args.length) ?
+                  options.include : ['.'],
+        externals: options.external,
+        aliases: cli.aliases(options.alias),
+        core: options.core,
+        umd: options.umd,
+        warn: function (message) {
+            cli.warn('build', message);
+        }
+    }));
+}
+
+module.exports.collect = collect;
+module.exports.build = build;
+module.exports.run = run;
+module.exports.USAGE = USAGE;
@@ -0,0 +1,180 @@
+/**
+ * This module contains the utilities shared by the commands of the "condotti"
+ * command line tool, such as the parsing of the command line arguments.
+ *
+ * @module condotti.tools.cli
+ */
+
+/**
+ * Parse the command line arguments according to the specified option specs,
+ * which are keyed by the long option names and in the form of:
+ *
+ * {
+ *     "target": { alias: "t", value: true },    // --target web, -t web
+ *     "include": { alias: "I", multiple: true }, // -I lib -I vendor
+ *     "umd": {}                                  // --umd, --no-umd
+ * }
+ *
+ * The options requiring no value are parsed as booleans, and can be negated
+ * with the "--no-" prefix. The arguments that are not options are collected as
+ * the positional arguments.
+ *
+ * @method parse
+ * @param {Array} argv the command line arguments, without the node executable
+ *                     and the script path
+ * @param {Object} specs the specs of the supported options
+ * @return {Object} the parse result in the form of
+ *                  { options: { target: 'web', ... }, args: ['a', 'b'] }
+ */
+function parse (argv, specs) {
+    var options = {},
+        args = [],
+        aliases = {},
+        index = 0,
+        arg = null,
+        name = null,
+        value = null,
+        negated = false,
+        spec = null,
+        match = null;
+    
+    Object.keys(specs).forEach(function (name) {
+        if (specs[name].alias) {
+            aliases[specs[name].alias] = name;
+        }
+        if (specs[name].multiple) {
+            options[name] = [];
+        }
+    });
+    
+    for (index = 0; index < argv.length; index += 1) {
+        arg = argv[index];
+        value = null;
+        negated = false;
+        
+        if ('--' === arg) {
+            args = args.concat(argv.slice(index + 1));
+            break;
+        }
+        
+        if ('-' !== arg.charAt(0) || '-' === arg) {
+            args.push(arg);
+            continue;
+        }
+        
+        match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (match) {
+            name = match[1];
+            value = (undefined === match[2]) ? null : match[2];
+            if (!specs.hasOwnProperty(name) && 0 === name.indexOf('no-')) {
+                name = name.substring(3);
+                negated = true;
+            }
+        } else {
+            name = aliases[arg.substring(1)];
+        }
+        
+        spec = name && specs.hasOwnProperty(name) ? specs[name] : null;
+        if (!spec) {
+            throw new Error('Unknown option ' + arg + '.');
+        }
+        
+        if (!spec.value && !spec.multiple) {
+            if (null !== value) {
+                throw new Error('Option ' + arg + ' does not take a value.');
+            }
+            options[name] = !negated;
+            continue;
+        }
+        
+        if (null === value) {
+            index += 1;
+            if (index >= argv.length) {
+                throw new Error('Option ' + arg + ' requires a value.');
+            }
+            value = argv[index];
+        }
+        
+        if (spec.multiple) {
+            options[name].push(value);
+        } else {
+            options[name] = value;
+        }
+    }
+    
+    return { options: options, args: args };
+}
+
+/**
+ * Write the content to the file, or the standard output if the file is not
+ * specified or is '-'. The directory of the file is created when it does not
+ * exist.
+ *
+ * @method output
+ * @param {String} file the path of the file
+ * @param {String} content the content to be written
+ */
+function output (file, content) {
+    var fs = require('fs'),
+        path = require('path'),
+        directories = [],
+        directory = null;
+    
+    if (!file || '-' === file) {
+        process.stdout.write(content);
+        return;
+    }
+    
+    directory = path.dirname(path.resolve(file));
+    while (!fs.existsSync(directory)) {
+        directories.unshift(directory);
+        directory = path.dirname(directory);
+    }
+    directories.forEach(function (directory) {
+        fs.mkdirSync(directory);
+    });
+    
+    fs.writeFileSync(file, content);
+}
+
+/**
+ * Write the warning of the command to the standard error.
+ *
+ * @method warn
+ * @param {String} command the name of the command, such as 'build'
+ * @param {String} message the warning message
+ */
+function warn (command, message) {
+    process.stderr.write('condotti ' + command + ': warning: ' + message +
+                         '\n');
+}
+
+/**
+ * Parse the aliases specified in the form of 'name=requirement', such as
+ * 'db=acme.storage.postgres@^2', into the aliases object.
+ *
+ * @method aliases
+ * @param {Array} items the aliases specified
+ * @return {Object} the aliases object, which maps the alias names to the
+ *                  requirements
+ */
+function aliases (items) {
+    var result = {};
+    
+    (items || []).forEach(function (item) {
+        var index = item.indexOf('=');
+        
+        if (index <= 0) {
+            throw new Error('Alias ' + item + ' is expected to be in the ' +
+                            'form of name=requirement.');
+        }
+        result[item.substring(0, index)] = item.substring(index + 1);
+    });
+    
+    return result;
+}
+
+module.exports.parse = parse;
+module.exports.output = output;
+module.exports.aliases = aliases;
+module.exports.warn = warn;
@@ -0,0 +1,676 @@
+/**
+ * This module contains the Graph class, which builds the dependency graph of
+ * the modules found by the Scanner, and the implementation of the
+ * "condotti graph" command, which exports the graph as JSON or Graphviz DOT.
+ *
+ * @module condotti.tools.graph
+ */
+var path = require('path'),
+    cli = require('./cli'),
+    Scanner = require('./scanner').Scanner;
+
+/**
+ * The usage of this command
+ *
+ * @property USAGE
+ * @type String
+ * @static
+ */
+var USAGE = [
+    'Usage: condotti graph [options] [module ...]',
+    '',
+    'Export the dependency graph of the modules. When the entry modules are',
+    'specified, the modules that can not be reached from them are reported as',
+    'unreachable.',
+    '',
+    'Options:',
+    '  -I, --include <path>     the file or directory to search for modules,',
+    '                           the current directory by default',
+    '  -f, --format <format>    json or dot, json by default',
+    '  -t, --target <target>    include the core modules of the target, web',
+    '                           or server',
+    '  -a, --alias <name=module>',
+    '                           the alias of the module, the same as the',
+    '                           "aliases" in the Condotti config',
+    '  -o, --output <file>      the output file, stdout by default',
+    '      --cycles             report all the dependency cycles, one per',
+    '                           line, and exit with 1 if any is found',
+    ''
+].join('\n');
+
+/**
+ * This Graph class is designed to provide the views of the dependency graph of
+ * the modules found by a scanner. The nodes of the graph are the module names,
+ * and the dependencies of all the versions of a module are merged, including
+ * the optional and the conditional ones.
+ *
+ * @class Graph
+ * @constructor
+ * @param {Scanner} scanner the scanner that has scanned the module tree
+ * @param {Array} core the names of the core modules, optional
+ */
+function Graph (scanner, core) {
+    var self = this;
+    
+    /**
+     * The nodes of the graph keyed by the module names, each of which is in
+     * the form of
+     * {
+     *     name: 'app.a',
+     *     versions: ['1.0.0'],
+     *     files: ['/path/to/a.js'],
+     *     requires: ['app.b@^2'],
+     *     dependencies: ['app.b'],
+     *     dependents: [],
+     *     core: false
+     * }
+     *
+     * @property nodes_
+     * @type Object
+     * @default {}
+     */
+    this.nodes_ = {};
+    
+    /**
+     * The required modules that can not be found, keyed by the names, each of
+     * which maps to the names of the modules requiring it
+     *
+     * @property missing_
+     * @type Object
+     * @default {}
+     */
+    this.missing_ = {};
+    
+    /**
+     * The cached depths of the modules
+     *
+     * @property depths_
+     * @type Object
+     * @default {}
+     */
+    this.depths_ = {};
+    
+    /**
+     * The files failed to be scanned, each of which is in the form of
+     * {
+     *     file: '/path/to/helper.js',
+     *     message: 'Scanning file ... failed. Error: ...'
+     * }
+     *
+     * @property errors_
+     * @type Array
+     * @default []
+     */
+    this.errors_ = scanner.errors.map(function (error) {
+        return { file: error.file, message: error.message };
+    });
+    
+    /**
+     * The private copy of the Condotti global used by the scanner
+     *
+     * @property Condotti_
+     * @type Function
+     */
+    this.Condotti_ = scanner.Condotti;
+    
+    core = core || [];
+    scanner.getModules().forEach(function (module) {
+        var node = self.nodes_[module.name],
+            requires = null;
+        
+        if (!node) {
+            node = self.nodes_[module.name] = {
+                name: module.name,
+                versions: [],
+                files: [],
+                requires: [],
+                dependencies: [],
+                dependents: [],
+                core: core.indexOf(module.name) >= 0
+            };
+        }
+        
+        node.versions.push(module.version || '0.0.0');
+        if (node.files.indexOf(module.file) < 0) {
+            node.files.push(module.file);
+        }
+        requires = scanner.getRequires(module);
+        requires = requires.requires.concat(requires.optional);
+        requires.forEach(function (requirement) {
+            var name = self.Condotti_.parseRequirement(requirement).name;
+            
+            if (node.requires.indexOf(requirement) < 0) {
+                node.requires.push(requirement);
+            }
+            if (node.dependencies.indexOf(name) < 0) {
+                node.dependencies.push(name);
+            }
+        });
+    });
+    
+    Object.keys(this.nodes_).forEach(function (name) {
+        self.nodes_[name].dependencies.forEach(function (dependency) {
+            if (!self.nodes_.hasOwnProperty(dependency)) {
+                self.missing_[dependency] = self.missing_[dependency] || [];
+                self.missing_[dependency].push(name);
+                return;
+            }
+            self.nodes_[dependency].dependents.push(name);
+        });
+    });
+}
+
+/**
+ * Return the names of all the modules in the graph, sorted
+ *
+ * @method getNames
+ * @return {Array} the module names
+ */
+Graph.prototype.getNames = function () {
+    return Object.keys(this.nodes_).sort();
+};
+
+/**
+ * Return the node of the module
+ *
+ * @method getNode
+ * @param {String} name the name of the module
+ * @return {Object} the node, or null if the module is not in the graph
+ */
+Graph.prototype.getNode = function (name) {
+    return this.nodes_.hasOwnProperty(name) ? this.nodes_[name] : null;
+};
+
+/**
+ * Return the names of the modules the specified one requires directly
+ *
+ * @method getDependencies
+ * @param {String} name the name of the module
+ * @return {Array} the names of the dependencies
+ */
+Graph.prototype.getDependencies = function (name) {
+    var node = this.getNode(name);
+    return node ? node.dependencies.slice() : [];
+};
+
+/**
+ * Return the names of the modules requiring the specified one directly, which
+ * are the reverse dependencies
+ *
+ * @method getDependents
+ * @param {String} name the name of the module
+ * @return {Array} the names of the dependents
+ */
+Graph.prototype.getDependents = function (name) {
+    var node = this.getNode(name);
+    return node ? node.dependents.slice().sort() : [];
+};
+
+/**
+ * Return the required modules that can not be found
+ *
+ * @method getMissing
+ * @return {Object} the names of the missing modules mapped to the names of
+ *                  the modules requiring them
+ */
+Graph.prototype.getMissing = function () {
+    return this.missing_;
+};
+
+/**
+ * Return the depth of the module, which is the length of the longest
+ * dependency chain starting from it, for example, 0 for the module having no
+ * dependency in the graph. The edges leading back to the modules on the chain
+ * are ignored, so that the depth is available even if there are cycles. The
+ * depths depending on the edges ignored this way are not cached, since they
+ * vary with the chain the module is reached by.
+ *
+ * @method getDepth
+ * @param {String} name the name of the module
+ * @return {Number} the depth, or -1 if the module is not in the graph
+ */
+Graph.prototype.getDepth = function (name) {
+    var self = this,
+        trace = {};
+    
+    if (!this.getNode(name)) {
+        return -1;
+    }
+    
+    return (function depth (current) {
+        var result = 0,
+            cut = false;
+        
+        if (self.depths_.hasOwnProperty(current)) {
+            return { depth: self.depths_[current], cut: false };
+        }
+        
+        trace[current] = true;
+        self.nodes_[current].dependencies.forEach(function (dependency) {
+            var found = null;
+            
+            if (!self.nodes_.hasOwnProperty(dependency)) {
+                return;
+            }
+            if (trace[dependency]) {
+                cut = true;
+                return;
+            }
+            
+            found = depth(dependency);
+            result = Math.max(result, found.depth + 1);
+            cut = cut || found.cut;
+        });
+        delete trace[current];
+        
+        if (!cut) {
+            self.depths_[current] = result;
+        }
+        return { depth: result, cut: cut };
+    }(name)).depth;
+};
+
+/**
+ * Return the names of the modules that can be reached from the entries
+ *
+ * @method getReachable
+ * @param {Array} entries the names of the entry modules
+ * @return {Array} the names of the reachable modules, sorted
+ */
+Graph.prototype.getReachable = function (entries) {
+    var self = this,
+        reached = {};
+    
+    (function visit (names) {
+        names.forEach(function (name) {
+            if (reached[name] || !self.nodes_.hasOwnProperty(name)) {
+                return;
+            }
+            reached[name] = true;
+            visit(self.nodes_[name].dependencies);
+        });
+    }(entries));
+    
+    return Object.keys(reached).sort();
+};
+
+/**
+ * Return the names of the modules that can not be reached from the entries.
+ * The core modules are never reported.
+ *
+ * @method getUnreachable
+ * @param {Array} entries the names of the entry modules
+ * @return {Array} the names of the unreachable modules, sorted
+ */
+Graph.prototype.getUnreachable = function (entries) {
+    var self = this,
+        reachable = this.getReachable(entries);
+    
+    return this.getNames().filter(function (name) {
+        return !self.nodes_[name].core && reachable.indexOf(name) < 0;
+    });
+};
+
+/**
+ * Return all the elementary cycles in the graph, each of which is the list of
+ * the modules on the cycle, starting and ending with the same module, such as
+ * ['a', 'b', 'c', 'a']. Each cycle is reported once, starting with the module
+ * whose name is the smallest on the cycle. The cycles are found with the
+ * Johnson's algorithm, whose blocking keeps the time linear to the number of
+ * the cycles, even if the strongly connected components are dense.
+ *
+ * @method getCycles
+ * @return {Array} the cycles found, or an empty array if the graph is acyclic
+ */
+Graph.prototype.getCycles = function () {
+    var self = this,
+        names = this.getNames(),
+        components = this.getComponents_(),
+        cycles = [];
+    
+    names.forEach(function (start, index) {
+        var stack = [],
+            blocked = {},
+            blocking = {},
+            unblock = null,
+            successors = null;
+        
+        // only the modules in the same strongly connected component, whose
+        // names are greater than the start one, can be on the cycles not
+        // reported yet
+        successors = function (current) {
+            return self.nodes_[current].dependencies.filter(function (name) {
+                return self.nodes_.hasOwnProperty(name) &&
+                       components[name] === components[start] &&
+                       names.indexOf(name) >= index;
+            });
+        };
+        
+        unblock = function (current) {
+            var name = null;
+            
+            blocked[current] = false;
+            while ((blocking[current] || []).length) {
+                name = blocking[current].shift();
+                if (blocked[name]) {
+                    unblock(name);
+                }
+            }
+        };
+        
+        (function circuit (current) {
+            var found = false,
+                dependencies = successors(current);
+            
+            stack.push(current);
+            blocked[current] = true;
+            
+            dependencies.forEach(function (dependency) {
+                if (dependency === start) {
+                    cycles.push(stack.concat([start]));
+                    found = true;
+                } else if (!blocked[dependency] && circuit(dependency)) {
+                    found = true;
+                }
+            });
+            
+            // the module stays blocked until one of its successors is
+            // unblocked, since it can not reach the start one before that
+            if (found) {
+                unblock(current);
+            } else {
+                dependencies.forEach(function (dependency) {
+                    blocking[dependency] = blocking[dependency] || [];
+                    if (blocking[dependency].indexOf(current) < 0) {
+                        blocking[dependency].push(current);
+                    }
+                });
+            }
+            
+            stack.pop();
+            return found;
+        }(start));
+    });
+    
+    return cycles;
+};
+
+/**
+ * Find the strongly connected components of the graph with the Tarjan's
+ * algorithm.
+ *
+ * @method getComponents_
+ * @return {Object} the module names mapped to the indices of the components
+ *                  they belong to
+ */
+Graph.prototype.getComponents_ = function () {
+    var self = this,
+        count = 0,
+        indices = {},
+        lowlinks = {},
+        stack = [],
+        trace = {},
+        components = {},
+        total = 0;
+    
+    this.getNames().forEach(function (name) {
+        if (indices.hasOwnProperty(name)) {
+            return;
+        }
+        
+        (function connect (current) {
+            var node = null;
+            
+            indices[current] = lowlinks[current] = count;
+            count += 1;
+            stack.push(current);
+            trace[current] = true;
+            
+            self.nodes_[current].dependencies.forEach(function (dependency) {
+                if (!self.nodes_.hasOwnProperty(dependency)) {
+                    return;
+                }
+                
+                if (!indices.hasOwnProperty(dependency)) {
+                    connect(dependency);
+                    lowlinks[current] = Math.min(lowlinks[current],
+                                                 lowlinks[dependency]);
+                } else if (trace[dependency]) {
+                    lowlinks[current] = Math.min(lowlinks[current],
+                                                 indices[dependency]);
+                }
+            });
+            
+            if (lowlinks[current] === indices[current]) {
+                do {
+                    node = stack.pop();
+                    delete trace[node];
+                    components[node] = total;
+                } while (node !== current);
+                total += 1;
+            }
+        }(name));
+    });
+    
+    return components;
+};
+
+/**
+ * Export the graph as a plain object, which can be serialized into JSON
+ *
+ * @method toJSON
+ * @param {Array} entries the names of the entry modules, optional
+ * @return {Object} the exported graph in the form of
+ *                  {
+ *                      modules: {
+ *                          'app.a': {
+ *                              versions: [...], files: [...],
+ *                              requires: [...], dependencies: [...],
+ *                              dependents: [...], depth: 1, core: false
+ *                          }
+ *                      },
+ *                      entries: ['app.a'],
+ *                      missing: { 'app.x': ['app.a'] },
+ *                      unreachable: [],
+ *                      cycles: [['app.b', 'app.c', 'app.b']],
+ *                      errors: [
+ *                          { file: 'lib/helper.js', message: '...' }
+ *                      ]
+ *                  }
+ *                  where "errors" are the files failed to be scanned
+ */
+Graph.prototype.toJSON = function (entries) {
+    var self = this,
+        modules = {};
+    
+    entries = entries || [];
+    this.getNames().forEach(function (name) {
+        var node = self.nodes_[name];
+        
+        modules[name] = {
+            versions: node.versions.slice(),
+            files: node.files.map(function (file) {
+                return path.relative(process.cwd(), file);
+            }),
+            requires: node.requires.slice(),
+            dependencies: node.dependencies.slice(),
+            dependents: self.getDependents(name),
+            depth: self.getDepth(name),
+            core: node.core
+        };
+    });
+    
+    return {
+        modules: modules,
+        entries: entries,
+        missing: this.missing_,
+        unreachable: entries.length ? this.getUnreachable(entries) : [],
+        cycles: this.getCycles(),
+        errors: this.errors_.map(function (error) {
+            return {
+                file: path.relative(process.cwd(), error.file),
+                message: error.message
+            };
+        })
+    };
+};
+
+/**
+ * Export the graph in the Graphviz DOT language. The entry modules are drawn
+ * in bold, the missing ones dashed, and the unreachable ones gray. The edges
+ * are labeled with the version ranges if specified. The files failed to be
+ * scanned are reported as the comments.
+ *
+ * @method toDOT
+ * @param {Array} entries the names of the entry modules, optional
+ * @return {String} the DOT source
+ */
+Graph.prototype.toDOT = function (entries) {
+    var self = this,
+        lines = ['digraph condotti {'],
+        unreachable = null,
+        quote = function (text) {
+            return JSON.stringify(text);
+        };
+    
+    entries = entries || [];
+    unreachable = entries.length ? this.getUnreachable(entries) : [];
+    
+    this.errors_.forEach(function (error) {
+        lines.push('    // ' + error.message.replace(/\s+/g, ' '));
+    });
+    
+    this.getNames().forEach(function (name) {
+        var attributes = [];
+        
+        if (entries.indexOf(name) >= 0) {
+            attributes.push('style=bold');
+        }
+        if (unreachable.indexOf(name) >= 0) {
+            attributes.push('color=gray', 'fontcolor=gray');
+        }
+        lines.push('    ' + quote(name) + (attributes.length ?
+                   ' [' + attributes.join(', ') + ']' : '') + ';');
+    });
+    
+    Object.keys(this.missing_).sort().forEach(function (name) {
+        lines.push('    ' + quote(name) + ' [style=dashed];');
+    });
+    
+    this.getNames().forEach(function (name) {
+        self.nodes_[name].requires.forEach(function (requirement) {
+            var parsed = self.Condotti_.parseRequirement(requirement);
+            
+            lines.push('    ' + quote(name) + ' -> ' + quote(parsed.name) +
+                       ('*' === parsed.range ? '' :
+                        ' [label=' + quote(parsed.range) + ']') + ';');
+        });
+    });
+    
+    lines.push('}');
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Build the graph of the modules with the specified options.
+ *
+ * @method graph
+ * @param {Object} options the options in the form of
+ *                         {
+ *                             includes: ['lib'],
+ *                             aliases: { db: 'acme.storage.postgres' },
+ *                             target: 'server',
+ *                             warn: function (message) { ... }
+ *                         }
+ *                         where the core modules of the target are included
+ *                         if it is specified, and "warn" is called with the
+ *                         warnings, such as the files failed to be scanned,
+ *                         which are reported in the graph instead of aborting
+ * @return {Graph} the graph built
+ */
+function graph (options) {
+    var scanner = new Scanner(),
+        core = [];
+    
+    scanner.aliases = options.aliases || {};    
+    if (options.target) {
+        scanner.scanCore(options.target).forEach(function (file) {
+            core = core.concat(scanner.getNames(file));
+        });
+    }
+    
+    (options.includes || []).forEach(function (include) {
+        scanner.scan(include);
+    });
+    scanner.errors.forEach(function (error) {
+        if (options.warn) {
+            options.warn(error.message);
+        }
+    });
+    
+    return new Graph(scanner, core);
+}
+
+/**
+ * Run this command with the command line arguments
+ *
+ * @method run
+ * @param {Array} argv the command line arguments after the command name
+ */
+function run (argv) {
+    var parsed = cli.parse(argv, {
+            include: { alias: 'I', multiple: true },
+            format: { alias: 'f', value: true },
+            target: { alias: 't', value: true },
+            alias: { alias: 'a', multiple: true },
+            output: { alias: 'o', value: true },
+            cycles: {},
+            help: { alias: 'h' }
+        }),
+        options = parsed.options,
+        format = options.format || 'json',
+        result = null,
+        entries = null,
+        cycles = null;
+    
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    
+    if ('json' !== format && 'dot' !== format) {
+        throw new Error('Unknown format ' + format + ', json or dot is ' +
+                        'expected.');
+    }
+    
+    result = graph({
+        includes: options.include.length ? options.include : ['.'],
+        aliases: cli.aliases(options.alias),
+        target: options.target,
+        warn: function (message) {
+            cli.warn('graph', message);
+        }
+    });
+    entries = parsed.args.map(function (requirement) {
+        requirement = result.Condotti_.resolveAlias(requirement,
+                                                    cli.aliases(options.alias));
+        return result.Condotti_.parseRequirement(requirement).name;
+    });
+    
+    if (options.cycles) {
+        cycles = result.getCycles();
+        cli.output(options.output, cycles.map(function (cycle) {
+            return cycle.join(' -> ') + '\n';
+        }).join(''));
+        process.exitCode = cycles.length ? 1 : 0;
+        return;
+    }
+    
+    cli.output(options.output, 'dot' === format ? result.toDOT(entries) :
+               JSON.stringify(result.toJSON(entries), null, 4) + '\n');
+}
+
+module.exports.Graph = Graph;
+module.exports.graph = graph;
+module.exports.run = run;
+module.exports.USAGE = USAGE;
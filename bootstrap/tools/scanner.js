@@ -0,0 +1,426 @@
+/**
+ * This module contains the Scanner class, which discovers the Condotti modules
+ * defined in the source files without attaching them, which means the module
+ * factories are never run, so that the tools like the bundler can work on the
+ * module tree. Note that the scan is not a static one: the top-level code of
+ * each file is run in a sandboxed context to find the "Condotti.add" calls.
+ *
+ * @module condotti.tools.scanner
+ */
+var fs = require('fs'),
+    path = require('path'),
+    util = require('util'),
+    vm = require('vm');
+
+/**
+ * The path of the main module of Condotti, which defines the Condotti global
+ *
+ * @property CONDOTTI
+ * @type String
+ * @static
+ */
+var CONDOTTI = path.resolve(__dirname, '../src/condotti/condotti.js');
+
+/**
+ * The source root of the Condotti framework
+ *
+ * @property SRC
+ * @type String
+ * @static
+ */
+var SRC = path.resolve(__dirname, '../src');
+
+/**
+ * The files of the core modules relative to the source root, in the order they
+ * are bundled. The "common" ones are shared by all the targets.
+ *
+ * @property CORE
+ * @type Object
+ * @static
+ */
+var CORE = {
+    common: [
+        'condotti/lang.js',
+        'condotti/reflect.js',
+        'condotti/async.js',
+        'condotti/errors.js',
+        'condotti/logging.js',
+        'condotti/algorithm.js',
+        'condotti/plugins.js',
+        'condotti/loaders.js',
+        'condotti/di.js',
+        'condotti/validators.js',
+        'condotti/uuid.js'
+    ],
+    web: [
+        'web/core.js',
+        'web/loader.js'
+    ],
+    server: [
+        'server/core.js',
+        'server/loader.js',
+        'server/logging.js'
+    ]
+};
+
+/**
+ * The console provided to the files being scanned, which writes to the
+ * standard error, so that the output of the top-level code, if any, does not
+ * mix with the output of the tools, such as the bundle written to stdout
+ *
+ * @property CONSOLE
+ * @type Object
+ * @static
+ */
+var CONSOLE = {};
+
+['log', 'info', 'warn', 'error', 'debug', 'trace', 'dir'].forEach(
+    function (method) {
+        CONSOLE[method] = function () {
+            process.stderr.write(util.format.apply(util, arguments) + '\n');
+        };
+    }
+);
+
+/**
+ * This Scanner class is designed to collect the modules defined in the source
+ * files by running the files against a private copy of the Condotti global,
+ * whose "add" method only records the modules. Only the top-level code of the
+ * files is run, therefore the files are expected to do nothing but calling
+ * "Condotti.add" at the top-level, which is the convention of the Condotti
+ * modules. The context provides nothing but "console", which writes to the
+ * standard error, and "module", so the files with other top-level side
+ * effects, such as calling "require", fail to be scanned, so do the ones
+ * running longer than the "timeout", and they are recorded in the "errors"
+ * property.
+ *
+ * @class Scanner
+ * @constructor
+ */
+function Scanner () {
+    /**
+     * The context the files are run in
+     *
+     * @property context_
+     * @type Object
+     */
+    this.context_ = vm.createContext({
+        console: CONSOLE,
+        module: { exports: {} } // the bundled files, such as the server core,
+                                // export the Condotti global at the top-level
+    });
+    
+    /**
+     * The milliseconds the top-level code of a file is allowed to run, after
+     * which the file fails to be scanned
+     *
+     * @property timeout
+     * @type Number
+     * @default 1000
+     */
+    this.timeout = 1000;
+    
+    /**
+     * The scanned files keyed by their absolute paths, each of which maps to
+     * the names of the modules defined in the file
+     *
+     * @property files_
+     * @type Object
+     * @default {}
+     */
+    this.files_ = {};
+    
+    /**
+     * The names assigned to the modules added without names, keyed by the
+     * absolute paths of the files adding them
+     *
+     * @property assigned_
+     * @type Object
+     * @default {}
+     */
+    this.assigned_ = {};
+    
+    /**
+     * The errors occurred when scanning the files, each of which has the
+     * absolute path of the file failed as its "file" property
+     *
+     * @property errors
+     * @type Array
+     * @default []
+     */
+    this.errors = [];
+    
+    /**
+     * The aliases of the modules, which map the alias names to the
+     * requirements on the real modules, the same as the "aliases" field of
+     * the Condotti config
+     *
+     * @property aliases
+     * @type Object
+     * @default {}
+     */
+    this.aliases = {};
+    
+    vm.runInContext(fs.readFileSync(CONDOTTI, 'utf8'), this.context_,
+                    CONDOTTI);
+    
+    /**
+     * The private copy of the Condotti global
+     *
+     * @property Condotti
+     * @type Function
+     */
+    this.Condotti = this.context_.Condotti;
+}
+
+/**
+ * Scan the file, or all the '.js' files under the directory recursively,
+ * except the ones under the "node_modules" and the hidden directories. The
+ * files that have been scanned are skipped. The modules added without names
+ * are named after the paths of their files relative to the root, the same way
+ * the server loader resolves the names to the files, such as 'app/db.js' and
+ * 'app/db/index.js' to 'app.db'.
+ *
+ * @method scan
+ * @param {String} target the path of the file or the directory
+ * @param {String} root the root the module names are relative to, which is
+ *                      the target itself if it is a directory, or the
+ *                      directory containing it if it is a file by default
+ * @return {Scanner} this scanner
+ */
+Scanner.prototype.scan = function (target, root) {
+    var self = this,
+        stat = null;
+    
+    target = path.resolve(target);
+    stat = fs.statSync(target);
+    
+    if (!stat.isDirectory()) {
+        this.scanFile_(target, root ? path.resolve(root) :
+                                      path.dirname(target));
+        return this;
+    }
+    
+    root = root ? path.resolve(root) : target;
+    
+    fs.readdirSync(target).sort().forEach(function (name) {
+        var file = path.join(target, name);
+        
+        if ('.' === name.charAt(0) || 'node_modules' === name) {
+            return;
+        }
+        
+        if (fs.statSync(file).isDirectory() || '.js' === path.extname(name)) {
+            self.scan(file, root);
+        }
+    });
+    
+    return this;
+};
+
+/**
+ * Scan the files of the core modules for the specified target
+ *
+ * @method scanCore
+ * @param {String} target the target, which is 'web' or 'server'
+ * @return {Array} the absolute paths of the files, in the order they are
+ *                 expected to be bundled
+ */
+Scanner.prototype.scanCore = function (target) {
+    var self = this;
+    
+    if (!CORE.hasOwnProperty(target) || 'common' === target) {
+        throw new Error('Unknown target ' + target + ', web or server is ' +
+                        'expected.');
+    }
+    
+    return CORE.common.concat(CORE[target]).map(function (file) {
+        file = path.join(SRC, file);
+        self.scan(file);
+        return file;
+    });
+};
+
+/**
+ * Scan the file by running it in the context. The errors thrown are recorded
+ * in the "errors" property instead of being thrown, since a module tree may
+ * contain the files which are not Condotti modules.
+ *
+ * @method scanFile_
+ * @param {String} file the absolute path of the file
+ * @param {String} root the absolute path of the root the name of the modules
+ *                      added without names is relative to
+ */
+Scanner.prototype.scanFile_ = function (file, root) {
+    var loaded = this.Condotti.loaded_,
+        names = [],
+        name = null,
+        error = null;
+    
+    if (this.files_.hasOwnProperty(file) || CONDOTTI === file) {
+        return;
+    }
+    
+    this.Condotti.anonymous_ = [];
+    try {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), this.context_, {
+            filename: file,
+            timeout: this.timeout
+        });
+        if (this.Condotti.anonymous_.length) {
+            name = path.relative(root, file).replace(/\.js$/, '')
+                       .split(path.sep).join('.').replace(/(^|\.)index$/, '');
+            if (!name) {
+                throw new Error('The module name can not be derived from ' +
+                                'the path relative to ' + root + '.');
+            }
+            this.Condotti.assign(name);
+            this.assigned_[file] = name;
+        }
+    } catch (e) {
+        this.Condotti.anonymous_ = [];
+        error = new Error('Scanning file ' + file + ' failed. Error: ' +
+                          e.toString());
+        error.file = file;
+        this.errors.push(error);
+    }
+    
+    // the modules added by this file are the ones without the file recorded
+    Object.keys(loaded).forEach(function (name) {
+        Object.keys(loaded[name]).forEach(function (version) {
+            if (!loaded[name][version].file) {
+                loaded[name][version].file = file;
+                if (names.indexOf(name) < 0) {
+                    names.push(name);
+                }
+            }
+        });
+    });
+    
+    this.files_[file] = names;
+};
+
+/**
+ * Return the names of the modules defined in the file
+ *
+ * @method getNames
+ * @param {String} file the path of the file
+ * @return {Array} the names of the modules, or an empty array if the file has
+ *                 not been scanned
+ */
+Scanner.prototype.getNames = function (file) {
+    return this.files_[path.resolve(file)] || [];
+};
+
+/**
+ * Return the name assigned to the modules added without names in the file
+ *
+ * @method getAssigned
+ * @param {String} file the path of the file
+ * @return {String} the name assigned, or null if the file adds no module
+ *                  without name
+ */
+Scanner.prototype.getAssigned = function (file) {
+    return this.assigned_[path.resolve(file)] || null;
+};
+
+/**
+ * Return all the modules found, sorted by the names, then the versions
+ *
+ * @method getModules
+ * @return {Array} the module entries in the form of
+ *                 { name: 'a', version: '0.0.1', meta: {...}, file: '...' }
+ */
+Scanner.prototype.getModules = function () {
+    var Condotti = this.Condotti,
+        loaded = Condotti.loaded_;
+    
+    return Object.keys(loaded).sort().reduce(function (result, name) {
+        return result.concat(Object.keys(loaded[name]).sort(
+            Condotti.compareVersions
+        ).map(function (version) {
+            return loaded[name][version];
+        }));
+    }, []);
+};
+
+/**
+ * Resolve the aliases in the requirement
+ *
+ * @method alias
+ * @param {String} requirement the requirement, such as 'db'
+ * @return {String} the resolved requirement, or the original one if it is not
+ *                  an alias
+ */
+Scanner.prototype.alias = function (requirement) {
+    return this.Condotti.resolveAlias(requirement, this.aliases);
+};
+
+/**
+ * Resolve the requirement to the best matching module found, the aliases in
+ * it are resolved first
+ *
+ * @method resolve
+ * @param {String} requirement the requirement, such as 'condotti.async@^0.2'
+ * @return {Object} the module entry, or null if no module matches
+ */
+Scanner.prototype.resolve = function (requirement) {
+    var parsed = this.Condotti.parseRequirement(this.alias(requirement));
+    
+    return this.Condotti.findVersions(parsed.name, parsed.range,
+                                      this.Condotti.loaded_)[0] || null;
+};
+
+/**
+ * Return the requirements of the module statically, with the aliases
+ * resolved. The requirements of the "when" conditions on the environment are
+ * mandatory if the environment is the target, and ignored if it is not. Since
+ * the config is only known at runtime, the requirements of the other
+ * conditions are all optional.
+ *
+ * @method getRequires
+ * @param {Object} module the module entry
+ * @param {String} target the target environment, 'web' or 'server'. When it
+ *                        is omitted, the requirements of all the conditions
+ *                        are optional
+ * @return {Object} the requirements in the form of
+ *                  { requires: [...], optional: [...] }
+ */
+Scanner.prototype.getRequires = function (module, target) {
+    var self = this,
+        meta = module.meta,
+        result = {
+            requires: [].concat(meta.requires || []),
+            optional: [].concat(meta.optional || [])
+        };
+    
+    (meta.when || []).forEach(function (condition) {
+        var requires = [].concat(condition.requires || []),
+            optional = [].concat(condition.optional || []);
+        
+        if (target && condition.env && target !== condition.env) {
+            return;
+        }
+        
+        if (target && condition.env && !condition.config) {
+            result.requires = result.requires.concat(requires);
+            result.optional = result.optional.concat(optional);
+            return;
+        }
+        
+        result.optional = result.optional.concat(requires, optional);
+    });
+    
+    result.requires = result.requires.map(function (requirement) {
+        return self.alias(requirement);
+    });
+    result.optional = result.optional.map(function (requirement) {
+        return self.alias(requirement);
+    });
+    
+    return result;
+};
+
+module.exports.Scanner = Scanner;
+module.exports.CONDOTTI = CONDOTTI;
+module.exports.CORE = CORE;